@@ -0,0 +1,93 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * Checks whether a value is a Node object: 
+ * 
+ * - If the Node interface is supported by a user's Internet browser, checks 
+ *   whether the value implements it. 
+ * 
+ * - Otherwise, or if the value is a Node object from another frame, checks 
+ *   whether the value is a non-null object with a number "nodeType" property 
+ *   and the appendChild() method of the Node interface. 
+ * 
+ * @param {any} obj - The value to be checked. 
+ * 
+ * @returns {boolean} - 
+ * Boolean true or false 
+ */
+function isAncestryNode(obj) {
+
+    if (typeof Node !== "undefined" && obj instanceof Node) {
+
+        return true;
+    }
+
+    return !!(obj && typeof obj.nodeType === "number" && obj.appendChild);
+}
+
+/**
+ * Checks the "options" argument shared by the functions in the ancestry/ 
+ * directory which compare the positions of Node objects, which must either be 
+ * undefined or a non-null object, then returns a new object containing the 
+ * default options, overridden by the ones which were passed, with the 
+ * objectAssignPolyfill() function from object/Assign.js. The object passed to 
+ * the "options" parameter is not modified. If the default options have a 
+ * "composed" property, its resulting value must be a Boolean. 
+ * 
+ * @param {object | undefined} options - The argument value to be checked. 
+ * 
+ * @param {object} defaults - The default options of the calling function. 
+ * 
+ * @param {string} fnName - The name of the calling function, such as 
+ * "getAncestors()", for the exception messages. 
+ * 
+ * @throws - 
+ * - A ReferenceError exception if the objectAssignPolyfill() function is not 
+ *   loaded. 
+ * - A TypeError exception if the value is defined and is not a non-null 
+ *   object, or if the "composed" option does not have a Boolean value. 
+ * 
+ * @returns {object} - The new object of options 
+ */
+function checkAncestryOptions(options, defaults, fnName) {
+
+    if (typeof objectAssignPolyfill !== "function") {
+
+        throw new ReferenceError("objectAssignPolyfill() function must be " 
+            + "loaded in order to apply the default options of the " + fnName 
+            + " function.");
+    }
+
+    if (typeof options !== "undefined" 
+        && (!options || typeof options !== "object")) {
+
+        throw new TypeError("Value passed to \"options\" parameter must be a " 
+            + "non-null object.");
+    }
+
+    options = objectAssignPolyfill({}, [defaults, options]);
+
+    if (Object.prototype.hasOwnProperty.call(defaults, "composed") 
+        && typeof options.composed !== "boolean") {
+
+        throw new TypeError("The \"composed\" property of the object passed " 
+            + "to the \"options\" parameter must have a Boolean value.");
+    }
+
+    return options;
+}
@@ -0,0 +1,187 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/* The elementMatchesPolyfill() function from ancestry/Matches.js is essential 
+ for the closest() function, since it tests each Element object against the 
+ selector. */
+if (typeof elementMatchesPolyfill !== "function") {
+
+    throw new ReferenceError("elementMatchesPolyfill() function from " 
+        + "ancestry/Matches.js must be loaded in order to use the closest() " 
+        + "function.");
+}
+
+/**
+ * Finds the closest Element object, starting from an Element object itself 
+ * and continuing up through its ancestors, which is selected by a CSS 
+ * selector. Intended to be a polyfill function for the Element interface's 
+ * closest() method, which is installed under the Element interface's 
+ * prototype if that method is not supported. Commonly used for event 
+ * delegation, to find the Element object on which a listener should act from 
+ * the target of an event. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Element closest() 
+ * method: 
+ * "The closest() method of the Element interface traverses the element and 
+ * its parents (heading toward the document root) until it finds a node that 
+ * matches the specified CSS selector." 
+ * 
+ * Each Element object is tested with the elementMatchesPolyfill() function, 
+ * so on Internet browsers without a native or vendor-prefixed matches() 
+ * method, only simple selectors are supported, as described in 
+ * ancestry/Matches.js. If the element has a native closest() method, it is 
+ * called instead of the traversal, unless it is the polyfill method installed 
+ * by this file, which is referenced by the "closest.method" property. 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Element interface's closest() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Element/closest
+ * 
+ * @param {Element} element - Required. The Element object to start from. 
+ * 
+ * @param {string} selector - Required. A string containing a CSS selector. 
+ * 
+ * @throws - 
+ * - A TypeError exception if the value passed to the "element" parameter is 
+ *   not an Element object, or if the value passed to the "selector" parameter 
+ *   is not a string. 
+ * - Any exception thrown by the elementMatchesPolyfill() function or by the 
+ *   native closest() method for an unsupported or invalid selector. 
+ * 
+ * @returns {Element | null} - 
+ * The element itself or its closest ancestor Element selected by the 
+ * selector, or null if there is none. 
+ */
+function closest(element, selector) {
+
+    /**
+     * Checks whether the values passed to the "element" and "selector" 
+     * parameters of the parent function are an Element object and a string. 
+     * An Element object from another frame is recognized by its "nodeType" 
+     * property of 1. 
+     * 
+     * @throws A TypeError exception if either value is invalid. 
+     */
+    function checkParams() {
+
+        if (!(typeof Element !== "undefined" && element instanceof Element) 
+            && !(element && element.nodeType === 1)) {
+
+            throw new TypeError("The value passed to the \"element\" " 
+                + "parameter must be an Element object.");
+        }
+
+        if (typeof selector !== "string") {
+
+            throw new TypeError("The value passed to the \"selector\" " 
+                + "parameter must be a string.");
+        }
+    }
+
+    /**
+     * Records the method used by the parent function in the registry of the 
+     * optional polyfill/PolyfillStatus.js file, if it is loaded, under the 
+     * name "closest". 
+     * 
+     * @param {string} status - "native" or "polyfilled". 
+     * 
+     * @param {string} tier - The name of the method that was used. 
+     * 
+     * @param {Element | null} result - The result of that method. 
+     * 
+     * @returns {Element | null} - The "result" argument, unchanged 
+     */
+    function recordTier(status, tier, result) {
+
+        if (typeof recordPolyfillStatus === "function") {
+
+            recordPolyfillStatus("closest", status, tier);
+        }
+
+        return result;
+    }
+
+    /**
+     * Traverses up the ancestral DOM tree hierarchy from the element until an 
+     * Element object selected by the selector is found. The traversal stops 
+     * at the first ancestor which is not an Element object, such as a 
+     * Document object or a ShadowRoot node. 
+     * 
+     * @returns {Element | null} - The matching Element object, or null 
+     */
+    function upwardsTraversal() {
+
+        var currentNode = element;
+
+        while (currentNode && currentNode.nodeType === 1) {
+
+            if (elementMatchesPolyfill(currentNode, selector)) {
+
+                return currentNode;
+            }
+
+            currentNode = currentNode.parentNode;
+        }
+
+        return null;
+    }
+
+    /* Main function execution area */
+    checkParams();
+
+    if (typeof element.closest === "function" 
+        && element.closest !== closest.method) {
+
+        return recordTier("native", "closest", element.closest(selector));
+    }
+
+    return recordTier("polyfilled", "traversal", upwardsTraversal());
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Element interface's 
+ prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Element closest() polyfill.");
+}
+
+/* The closest() polyfill method, which calls the function defined above with 
+ the current Element object. */
+closest.method = function(selector) {
+
+    return closest(this, selector);
+};
+
+/* If the Element interface is supported and its closest() method is not, 
+ install the closest() polyfill method as a non-enumerable method in its 
+ prototype. Without the Element interface, as in Internet Explorer 7 and 
+ earlier versions, the closest() ponyfill is added directly. */
+if (typeof Element !== "undefined" && Element) {
+
+    installPolyfill(Element.prototype, "closest", closest.method);
+}
+else {
+
+    ponyfill.closest = function(element, selector) {
+
+        return closest(element, selector);
+    };
+}
@@ -0,0 +1,401 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/* The getParentNode() function from ancestry/GetParentNode.js is essential 
+ for the compareDocumentPositionPolyfill() function, since it provides the 
+ traversal up the DOM tree Node hierarchy. */
+if (typeof getParentNode !== "function") {
+
+    throw new ReferenceError("getParentNode() function from " 
+        + "ancestry/GetParentNode.js must be loaded in order to use the " 
+        + "compareDocumentPositionPolyfill() function.");
+}
+
+/* The isAncestryNode() and checkAncestryOptions() functions from 
+ ancestry/CheckAncestryArgs.js check the arguments of the 
+ compareDocumentPositionPolyfill() function. */
+if (typeof checkAncestryOptions !== "function") {
+
+    throw new ReferenceError("checkAncestryOptions() function from " 
+        + "ancestry/CheckAncestryArgs.js must be loaded in order to use " 
+        + "the compareDocumentPositionPolyfill() function.");
+}
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Node 
+ * interface's compareDocumentPosition() method for Internet browsers that do 
+ * not support it, such as Internet Explorer 8 and earlier versions. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Node 
+ * compareDocumentPosition() method: 
+ * "The compareDocumentPosition() method of the Node interface reports the 
+ * position of its argument node relative to the node on which it is called." 
+ * 
+ * The result is a bitmask made of the following flags, which have the same 
+ * values as the DOCUMENT_POSITION_* constants of the Node interface: 
+ * - 1 (DISCONNECTED): the Node objects are not in the same DOM tree. 
+ * - 2 (PRECEDING): the other Node comes before the target Node. 
+ * - 4 (FOLLOWING): the other Node comes after the target Node. 
+ * - 8 (CONTAINS): the other Node is an ancestor of the target Node. 
+ * - 16 (CONTAINED_BY): the other Node is a descendant of the target Node. 
+ * - 32 (IMPLEMENTATION_SPECIFIC): the order is not defined by the DOM tree, 
+ *   as for two attributes of the same Element or for disconnected Nodes. 
+ * 
+ * An Attr node has the position of its Element, before any of its children. 
+ * Like the native method, this function sets either the PRECEDING or the 
+ * FOLLOWING flag for disconnected Node objects, returning 35 or 37. The 
+ * native method bases the order on internal data, such as memory addresses, 
+ * which JavaScript code cannot access, so this function orders the root Nodes 
+ * of the two DOM trees by when it first compares them instead. The order stays 
+ * the same for as long as the root Nodes exist. 
+ * 
+ * Unlike the native method, this function can also compare Node objects 
+ * across ShadowRoot nodes, by passing an object with a "composed" property of 
+ * true to the "options" parameter. A ShadowRoot node then has the position of 
+ * its host Element, after any attributes and before any children of it. Since 
+ * the polyfill is only installed where the native method is missing, the 
+ * "composed" option is ignored by "node.compareDocumentPosition(other, 
+ * options)" in Internet browsers with the native method; call this function 
+ * or the compareDocumentPosition() ponyfill directly to use it. 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Node interface's compareDocumentPosition() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Node/compareDocumentPosition
+ * 
+ * @param {Node} node - Required. The target Node object, to which the 
+ * position of the other Node object is relative. 
+ * 
+ * @param {Node} other - Required. The Node object whose position is reported. 
+ * 
+ * @param {object} options - Optional. A non-null object containing a property 
+ * of name "composed" and a Boolean value. If the "composed" property is: 
+ * - false, Node objects in different ShadowRoot nodes, or inside and outside 
+ *   of one, are disconnected, as with the native method. 
+ * - true, the traversal up the ancestral DOM tree hierarchies of both Node 
+ *   objects continues from the host of any ShadowRoot node reached. 
+ * The user's options are copied over an object of default options with the 
+ * objectAssignPolyfill() function from object/Assign.js, so options.composed 
+ * defaults to false. The object passed to the "options" parameter is not 
+ * modified. 
+ * 
+ * @throws - 
+ * TypeError exception if: 
+ * - The value passed to the "node" or "other" parameter is not a Node 
+ *   object; 
+ * - The value passed to the "options" parameter is defined and is not a 
+ *   non-null object; or 
+ * - The "composed" property of a non-null object passed to the "options" 
+ *   parameter is defined and does not have a Boolean value. 
+ * ReferenceError exception if the objectAssignPolyfill() function is not 
+ * loaded. 
+ * 
+ * @returns {number} - 
+ * The bitmask described above, or 0 if both values are the same Node object. 
+ */
+function compareDocumentPositionPolyfill(node, other, options) {
+
+    var DISCONNECTED = 1, PRECEDING = 2, FOLLOWING = 4, CONTAINS = 8;
+    var CONTAINED_BY = 16, IMPLEMENTATION_SPECIFIC = 32;
+
+    /**
+     * Checks whether the values passed to the "node" and "other" parameters of 
+     * the parent function are Node objects. 
+     * 
+     * @throws A TypeError exception if either value is not a Node object. 
+     */
+    function checkNodeParams() {
+
+        if (!isAncestryNode(node)) {
+
+            throw new TypeError("The value passed to the \"node\" parameter " 
+                + "must be a Node object.");
+        }
+
+        if (!isAncestryNode(other)) {
+
+            throw new TypeError("The value passed to the \"other\" parameter " 
+                + "must be a Node object.");
+        }
+    }
+
+    /**
+     * Lists a Node object and all of its ancestors, from the Node itself up 
+     * to its root Node. 
+     * 
+     * @param {Node} startNode - The Node object to start from. 
+     * 
+     * @returns {Array<Node>} - The Node object and its ancestors 
+     */
+    function getAncestry(startNode) {
+
+        var ancestry = [], currentNode = startNode;
+
+        while (currentNode) {
+
+            ancestry.push(currentNode);
+            currentNode = getParentNode(currentNode, options.composed);
+        }
+
+        return ancestry;
+    }
+
+    /**
+     * Checks whether a Node object is listed in an ancestry Array. 
+     * 
+     * @param {Array<Node>} ancestry - The ancestry Array. 
+     * 
+     * @param {Node} target - The Node object to search for. 
+     * 
+     * @returns {boolean} - Boolean true or false 
+     */
+    function inAncestry(ancestry, target) {
+
+        var index;
+
+        for (index = 0; index < ancestry.length; index++) {
+
+            if (ancestry[index] === target) {
+
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Ranks the kinds of Node objects which share the same parent in the 
+     * order in which they are positioned: attributes first, then a 
+     * ShadowRoot node, then the children. 
+     * 
+     * @param {Node} child - The Node object to be ranked. 
+     * 
+     * @returns {number} - 0, 1 or 2 
+     */
+    function getRank(child) {
+
+        if (child.nodeType === 2) {
+
+            return 0;
+        }
+
+        return child.nodeType === 11 ? 1 : 2;
+    }
+
+    /**
+     * Checks whether the attribute "first" comes before the attribute 
+     * "second" in the "attributes" list of their Element. 
+     * 
+     * @param {Element} parent - The Element of both attributes. 
+     * 
+     * @param {Attr} first - The first Attr node. 
+     * 
+     * @param {Attr} second - The second Attr node. 
+     * 
+     * @returns {boolean} - Boolean true or false 
+     */
+    function attrPrecedes(parent, first, second) {
+
+        var index, attrs = parent.attributes;
+
+        for (index = 0; index < attrs.length; index++) {
+
+            if (attrs[index] === first) {
+
+                return true;
+            }
+
+            if (attrs[index] === second) {
+
+                return false;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Checks whether the Node object "first" comes before the Node object 
+     * "second", where both of them share the same parent. 
+     * 
+     * @param {Node} parent - The shared parent. 
+     * 
+     * @param {Node} first - The first Node object. 
+     * 
+     * @param {Node} second - The second Node object. 
+     * 
+     * @returns {boolean} - Boolean true or false 
+     */
+    function precedes(parent, first, second) {
+
+        var firstRank = getRank(first), secondRank = getRank(second);
+        var currentNode;
+
+        if (firstRank !== secondRank) {
+
+            return firstRank < secondRank;
+        }
+
+        if (firstRank === 0) {
+
+            return attrPrecedes(parent, first, second);
+        }
+
+        for (currentNode = first.nextSibling; currentNode; 
+            currentNode = currentNode.nextSibling) {
+
+            if (currentNode === second) {
+
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Retrieves the number under which a root Node is ordered among the root 
+     * Nodes of disconnected DOM trees, assigning the next number to a root 
+     * Node which has not been compared before. The numbers are kept in a 
+     * WeakMap where it is supported, so that the root Nodes can still be 
+     * garbage-collected, and otherwise in a property of each root Node. 
+     * 
+     * @param {Node} root - The root Node. 
+     * 
+     * @returns {number} - The number of the root Node 
+     */
+    function getRootOrder(root) {
+
+        var orders = compareDocumentPositionPolyfill.rootOrders;
+
+        if (orders) {
+
+            if (!orders.has(root)) {
+
+                orders.set(root, compareDocumentPositionPolyfill.nextOrder++);
+            }
+
+            return orders.get(root);
+        }
+
+        if (typeof root.compareDocumentPositionOrder !== "number") {
+
+            root.compareDocumentPositionOrder = 
+                compareDocumentPositionPolyfill.nextOrder++;
+        }
+
+        return root.compareDocumentPositionOrder;
+    }
+
+    /**
+     * Compares the positions of the target Node and the other Node using 
+     * their ancestry Arrays. If neither contains the other, their ancestries 
+     * are compared from their root Nodes down, until the ancestors on which 
+     * they diverge, which share the same parent, are found. 
+     * 
+     * @returns {number} - The bitmask 
+     */
+    function compare() {
+
+        var nodeAncestry = getAncestry(node);
+        var otherAncestry = getAncestry(other);
+        var nodeIndex = nodeAncestry.length - 1;
+        var otherIndex = otherAncestry.length - 1;
+        var nodeBranch, otherBranch, flags;
+
+        if (nodeAncestry[nodeIndex] !== otherAncestry[otherIndex]) {
+
+            return DISCONNECTED | IMPLEMENTATION_SPECIFIC 
+                | (getRootOrder(otherAncestry[otherIndex]) 
+                < getRootOrder(nodeAncestry[nodeIndex]) 
+                ? PRECEDING : FOLLOWING);
+        }
+
+        if (inAncestry(nodeAncestry, other)) {
+
+            return CONTAINS | PRECEDING;
+        }
+
+        if (inAncestry(otherAncestry, node)) {
+
+            return CONTAINED_BY | FOLLOWING;
+        }
+
+        while (nodeAncestry[nodeIndex] === otherAncestry[otherIndex]) {
+
+            nodeIndex--;
+            otherIndex--;
+        }
+
+        nodeBranch = nodeAncestry[nodeIndex];
+        otherBranch = otherAncestry[otherIndex];
+        flags = precedes(nodeAncestry[nodeIndex + 1], otherBranch, nodeBranch) 
+            ? PRECEDING : FOLLOWING;
+
+        if (nodeBranch.nodeType === 2 && otherBranch.nodeType === 2) {
+
+            flags |= IMPLEMENTATION_SPECIFIC;
+        }
+
+        return flags;
+    }
+
+    /* Main function execution area */
+    checkNodeParams();
+    options = checkAncestryOptions(options, { composed: false }, 
+        "compareDocumentPositionPolyfill()");
+
+    return node === other ? 0 : compare();
+}
+
+/* The orders of the root Nodes of disconnected DOM trees, kept by the 
+ getRootOrder() function above, and the next number to be assigned. */
+compareDocumentPositionPolyfill.rootOrders = typeof WeakMap === "function" 
+    ? new WeakMap() : null;
+compareDocumentPositionPolyfill.nextOrder = 0;
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Node interface's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Node compareDocumentPosition() polyfill.");
+}
+
+/* If the Node interface is supported and its compareDocumentPosition() method 
+ is not, install a non-enumerable compareDocumentPosition() method in its 
+ prototype which calls the polyfill function defined above, passing on the 
+ "options" argument as well. Without the Node interface, as in Internet 
+ Explorer 8 and earlier versions, the compareDocumentPosition() ponyfill is 
+ added directly. */
+if (typeof Node !== "undefined" && Node) {
+
+    installPolyfill(Node.prototype, "compareDocumentPosition", 
+        function(other, options) {
+
+        return compareDocumentPositionPolyfill(this, other, options);
+    });
+}
+else {
+
+    ponyfill.compareDocumentPosition = function(node, other, options) {
+
+        return compareDocumentPositionPolyfill(node, other, options);
+    };
+}
@@ -0,0 +1,190 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/* The getParentNode() function from ancestry/GetParentNode.js is essential 
+ for the nodeContainsPolyfill() function, since it provides the traversal up 
+ the DOM tree Node hierarchy. */
+if (typeof getParentNode !== "function") {
+
+    throw new ReferenceError("getParentNode() function from " 
+        + "ancestry/GetParentNode.js must be loaded in order to use the " 
+        + "nodeContainsPolyfill() function.");
+}
+
+/* The isAncestryNode() and checkAncestryOptions() functions from 
+ ancestry/CheckAncestryArgs.js check the arguments of the 
+ nodeContainsPolyfill() function. */
+if (typeof checkAncestryOptions !== "function") {
+
+    throw new ReferenceError("checkAncestryOptions() function from " 
+        + "ancestry/CheckAncestryArgs.js must be loaded in order to use " 
+        + "the nodeContainsPolyfill() function.");
+}
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Node 
+ * interface's contains() method for Internet browsers that do not support it. 
+ * Internet Explorer only supports the contains() method on Element objects, 
+ * and not on Document objects or other kinds of Node objects. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Node contains() method: 
+ * "The contains() method of the Node interface returns a boolean value 
+ * indicating whether a node is a descendant of a given node, that is the node 
+ * itself, one of its direct children (childNodes), one of the children's 
+ * direct children, and so on." 
+ * 
+ * Unlike the native method, this function can also check whether a Node is 
+ * inside of a ShadowRoot node hosted by a descendant of the target Node, by 
+ * passing an object with a "composed" property of true to the "options" 
+ * parameter. Since the polyfill is only installed where the native method is 
+ * missing, the "composed" option is ignored by "node.contains(other, 
+ * options)" in Internet browsers with the native method; call this function 
+ * or the contains() ponyfill directly to use it. 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Node interface's contains() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Node/contains
+ * 
+ * @param {Node} node - Required. The Node object which may contain the other 
+ * Node object. 
+ * 
+ * @param {Node} other - Required. The Node object which may be contained. If 
+ * undefined or null, Boolean false is returned. 
+ * 
+ * @param {object} options - Optional. A non-null object containing a property 
+ * of name "composed" and a Boolean value. If the "composed" property is: 
+ * - false, a Node inside of a ShadowRoot node is not contained by the host of 
+ *   the ShadowRoot node or its ancestors, as with the native method. 
+ * - true, the traversal up the ancestral DOM tree hierarchy of the other Node 
+ *   continues from the host of any ShadowRoot node reached. 
+ * The user's options are copied over an object of default options with the 
+ * objectAssignPolyfill() function from object/Assign.js, so options.composed 
+ * defaults to false. The object passed to the "options" parameter is not 
+ * modified. 
+ * 
+ * @throws - 
+ * TypeError exception if: 
+ * - The value passed to the "node" parameter is not a Node object; 
+ * - The value passed to the "other" parameter is defined, not null, and not 
+ *   a Node object; 
+ * - The value passed to the "options" parameter is defined and is not a 
+ *   non-null object; or 
+ * - The "composed" property of a non-null object passed to the "options" 
+ *   parameter is defined and does not have a Boolean value. 
+ * ReferenceError exception if the objectAssignPolyfill() function is not 
+ * loaded. 
+ * 
+ * @returns {boolean} - 
+ * Boolean true if the other Node is the target Node itself or one of its 
+ * descendants. Boolean false otherwise, including for Attr nodes, which are 
+ * not part of the DOM tree structure. 
+ */
+function nodeContainsPolyfill(node, other, options) {
+
+    /**
+     * Checks whether the values passed to the "node" and "other" parameters of 
+     * the parent function are Node objects, where the "other" parameter may 
+     * also be undefined or null. 
+     * 
+     * @throws A TypeError exception if either value is invalid. 
+     */
+    function checkNodeParams() {
+
+        if (!isAncestryNode(node)) {
+
+            throw new TypeError("The value passed to the \"node\" parameter " 
+                + "must be a Node object.");
+        }
+
+        if (typeof other !== "undefined" && other !== null 
+            && !isAncestryNode(other)) {
+
+            throw new TypeError("The value passed to the \"other\" parameter " 
+                + "must be a Node object, undefined or null.");
+        }
+    }
+
+    /**
+     * Traverses up the ancestral DOM tree hierarchy from the other Node until 
+     * the target Node, or a Node without a parent, is reached. 
+     * 
+     * @returns {boolean} - Boolean true if the target Node was reached 
+     */
+    function search() {
+
+        var currentNode = other;
+
+        if (currentNode.nodeType === 2) {
+
+            return currentNode === node;
+        }
+
+        while (currentNode) {
+
+            if (currentNode === node) {
+
+                return true;
+            }
+
+            currentNode = getParentNode(currentNode, options.composed);
+        }
+
+        return false;
+    }
+
+    /* Main function execution area */
+    checkNodeParams();
+    options = checkAncestryOptions(options, { composed: false }, 
+        "nodeContainsPolyfill()");
+
+    if (typeof other === "undefined" || other === null) {
+
+        return false;
+    }
+
+    return search();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Node interface's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Node contains() polyfill.");
+}
+
+/* If the Node interface is supported and its contains() method is not, 
+ install a non-enumerable contains() method in its prototype which calls the 
+ polyfill function defined above, passing on the "options" argument as well. 
+ Without the Node interface, as in Internet Explorer 8 and earlier versions, 
+ the contains() ponyfill is added directly. */
+if (typeof Node !== "undefined" && Node) {
+
+    installPolyfill(Node.prototype, "contains", function(other, options) {
+
+        return nodeContainsPolyfill(this, other, options);
+    });
+}
+else {
+
+    ponyfill.contains = function(node, other, options) {
+
+        return nodeContainsPolyfill(node, other, options);
+    };
+}
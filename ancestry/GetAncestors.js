@@ -0,0 +1,199 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/* The getParentNode() function from ancestry/GetParentNode.js is essential 
+ for the getAncestors() function, since it provides the traversal up the DOM 
+ tree Node hierarchy. */
+if (typeof getParentNode !== "function") {
+
+    throw new ReferenceError("getParentNode() function from " 
+        + "ancestry/GetParentNode.js must be loaded in order to use the " 
+        + "getAncestors() function.");
+}
+
+/* The isAncestryNode() and checkAncestryOptions() functions from 
+ ancestry/CheckAncestryArgs.js check the options of the getAncestors() 
+ function. */
+if (typeof checkAncestryOptions !== "function") {
+
+    throw new ReferenceError("checkAncestryOptions() function from " 
+        + "ancestry/CheckAncestryArgs.js must be loaded in order to use " 
+        + "the getAncestors() function.");
+}
+
+/**
+ * Lists the ancestors of a Node object, from its parent up to its root Node, 
+ * such as for building breadcrumbs, for auditing the accessibility of the 
+ * Elements around a Node, or for computing the path of an event. 
+ * 
+ * For more information on associated JavaScript APIs and properties, reference 
+ * authoritative documentation: 
+ * 
+ * The Node interface's "parentNode" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Node/parentNode 
+ * 
+ * The Node interface's "nodeType" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Node/nodeType 
+ * 
+ * The ShadowRoot interface's "host" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/ShadowRoot/host 
+ * 
+ * @param {Node} node - Required. The Node object whose ancestors are listed. 
+ * The Node itself is not included in the list. 
+ * 
+ * @param {object} options - Optional. A non-null object with any of the 
+ * following properties: 
+ * - "until": a Node object, or a non-empty string containing a CSS selector. 
+ *   The traversal stops before the first ancestor which is this Node object, 
+ *   or which is an Element selected by this selector, so that ancestor and 
+ *   the ones above it are not listed. Selectors are tested with the 
+ *   elementMatchesPolyfill() function from ancestry/Matches.js, which must 
+ *   then be loaded. Defaults to null, listing every ancestor. 
+ * - "filter": a function, or a nodeType number such as 1 for Element 
+ *   objects. Only the ancestors for which the function returns a truthy 
+ *   value, or which have this nodeType, are listed, although the traversal 
+ *   still continues through the others. The function is called with each 
+ *   ancestor. Defaults to null, listing every ancestor. 
+ * - "composed": a Boolean. If true, the traversal continues from the host of 
+ *   any ShadowRoot node reached, as with the getRootNodePolyfill() function. 
+ *   Defaults to false. 
+ * The user's options are copied over an object of default options with the 
+ * objectAssignPolyfill() function from object/Assign.js. The object passed to 
+ * the "options" parameter is not modified. 
+ * 
+ * @throws - 
+ * TypeError exception if: 
+ * - The value passed to the "node" parameter is not a Node object; 
+ * - The value passed to the "options" parameter is defined and is not a 
+ *   non-null object; 
+ * - The "until" option is neither null, a Node object, nor a non-empty 
+ *   string, or the "filter" option is neither null, a function, nor a 
+ *   number; or 
+ * - The "composed" option does not have a Boolean value. 
+ * ReferenceError exception if: 
+ * - The objectAssignPolyfill() function is not loaded; or 
+ * - The "until" option is a selector and the elementMatchesPolyfill() 
+ *   function is not loaded. 
+ * 
+ * @returns {Array<Node>} - 
+ * An Array of the listed ancestors, starting from the closest one. 
+ */
+function getAncestors(node, options) {
+
+    /**
+     * Replaces the value passed to the "options" parameter of the parent 
+     * function with a new object containing the default options, overridden 
+     * by the ones which were passed, with the checkAncestryOptions() function, 
+     * and checks the "until" and "filter" options. The "until" option is 
+     * checked with the isAncestryNode() function, so that an object which is 
+     * not a Node object is rejected instead of never stopping the traversal. 
+     * 
+     * @throws - 
+     * A TypeError or ReferenceError exception as described in the 
+     * documentation of the parent function. 
+     */
+    function checkOptionsParam() {
+
+        options = checkAncestryOptions(options, { 
+            until: null, 
+            filter: null, 
+            composed: false 
+        }, "getAncestors()");
+
+        if (options.until !== null && !isAncestryNode(options.until) 
+            && (typeof options.until !== "string" || !options.until)) {
+
+            throw new TypeError("The \"until\" option must be null, a Node " 
+                + "object, or a non-empty string containing a CSS selector.");
+        }
+
+        if (typeof options.until === "string" 
+            && typeof elementMatchesPolyfill !== "function") {
+
+            throw new ReferenceError("elementMatchesPolyfill() function from " 
+                + "ancestry/Matches.js must be loaded in order to use a " 
+                + "selector for the \"until\" option.");
+        }
+
+        if (options.filter !== null && typeof options.filter !== "function" 
+            && typeof options.filter !== "number") {
+
+            throw new TypeError("The \"filter\" option must be null, a " 
+                + "function, or a nodeType number.");
+        }
+    }
+
+    /**
+     * Checks whether the traversal must stop at an ancestor, according to 
+     * the "until" option. 
+     * 
+     * @param {Node} ancestor - The ancestor to be checked. 
+     * 
+     * @returns {boolean} - Boolean true or false 
+     */
+    function isUntil(ancestor) {
+
+        if (typeof options.until === "string") {
+
+            return ancestor.nodeType === 1 
+                && elementMatchesPolyfill(ancestor, options.until);
+        }
+
+        return ancestor === options.until;
+    }
+
+    /**
+     * Checks whether an ancestor is listed, according to the "filter" option. 
+     * 
+     * @param {Node} ancestor - The ancestor to be checked. 
+     * 
+     * @returns {boolean} - Boolean true or false 
+     */
+    function isListed(ancestor) {
+
+        if (typeof options.filter === "function") {
+
+            return !!options.filter(ancestor);
+        }
+
+        if (typeof options.filter === "number") {
+
+            return ancestor.nodeType === options.filter;
+        }
+
+        return true;
+    }
+
+    /* Main function execution area. The getParentNode() function also checks 
+     whether the value passed to the "node" parameter is a Node object. */
+    var ancestors = [], currentNode;
+
+    checkOptionsParam();
+    currentNode = getParentNode(node, options.composed);
+
+    while (currentNode && !isUntil(currentNode)) {
+
+        if (isListed(currentNode)) {
+
+            ancestors.push(currentNode);
+        }
+
+        currentNode = getParentNode(currentNode, options.composed);
+    }
+
+    return ancestors;
+}
@@ -0,0 +1,233 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/* The getParentNode() function from ancestry/GetParentNode.js is essential 
+ for the getCommonAncestor() function, since it provides the traversal up the 
+ DOM tree Node hierarchy. */
+if (typeof getParentNode !== "function") {
+
+    throw new ReferenceError("getParentNode() function from " 
+        + "ancestry/GetParentNode.js must be loaded in order to use the " 
+        + "getCommonAncestor() function.");
+}
+
+/* The isAncestryNode() and checkAncestryOptions() functions from 
+ ancestry/CheckAncestryArgs.js check the arguments of the getCommonAncestor() 
+ function. */
+if (typeof checkAncestryOptions !== "function") {
+
+    throw new ReferenceError("checkAncestryOptions() function from " 
+        + "ancestry/CheckAncestryArgs.js must be loaded in order to use " 
+        + "the getCommonAncestor() function.");
+}
+
+/**
+ * Finds the lowest common ancestor of several Node objects, which is the 
+ * deepest Node in the DOM tree structure that contains every one of them. A 
+ * Node counts as containing itself, so if one of the Node objects contains 
+ * all of the others, it is the result. For example, this is the smallest 
+ * region to render again after the replaceNode() function from 
+ * replace/ReplaceNode.js has replaced several sibling Nodes. 
+ * 
+ * For more information on associated JavaScript APIs and properties, reference 
+ * authoritative documentation: 
+ * 
+ * The Node interface's "parentNode" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Node/parentNode 
+ * 
+ * The Node interface's contains() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Node/contains 
+ * 
+ * @param {Node | Array<Node> | HTMLCollection<Node> | 
+ * NodeList<Node>} nodes - Required. 
+ * 
+ * Either contains a single Node object or a non-empty list data structure of 
+ * Node objects. Such list types include: Arrays, live HTMLCollections, and 
+ * static or live NodeLists. Every entry of a list must be a Node object. 
+ * 
+ * @param {object} options - Optional. A non-null object containing a property 
+ * of name "composed" and a Boolean value. If the "composed" property is: 
+ * - false, Node objects inside and outside of a ShadowRoot node have no 
+ *   common ancestor. 
+ * - true, the traversal up the ancestral DOM tree hierarchy of each Node 
+ *   continues from the host of any ShadowRoot node reached. 
+ * The user's options are copied over an object of default options with the 
+ * objectAssignPolyfill() function from object/Assign.js, so options.composed 
+ * defaults to false. The object passed to the "options" parameter is not 
+ * modified. 
+ * 
+ * @throws - 
+ * TypeError exception if: 
+ * - The value passed to the "nodes" parameter is neither a Node object nor a 
+ *   list data structure, or is a list with an entry which is not a Node 
+ *   object; 
+ * - The value passed to the "options" parameter is defined and is not a 
+ *   non-null object; or 
+ * - The "composed" property of a non-null object passed to the "options" 
+ *   parameter is defined and does not have a Boolean value. 
+ * RangeError exception if the value passed to the "nodes" parameter is an 
+ * empty list data structure. 
+ * ReferenceError exception if the objectAssignPolyfill() function is not 
+ * loaded. 
+ * 
+ * @returns {Node | null} - 
+ * The lowest common ancestor, or null if the Node objects are in different 
+ * DOM trees. 
+ */
+function getCommonAncestor(nodes, options) {
+
+    /**
+     * Checks whether the value passed to the "nodes" parameter of the parent 
+     * function is a Node object or a non-empty list data structure, and 
+     * replaces a single Node object with an Array containing it. 
+     * 
+     * @throws - 
+     * - A TypeError exception if the value is neither a Node object nor a 
+     *   list data structure, or if an entry of the list is not a Node object, 
+     *   like with the other functions of the ancestry/ directory. 
+     * - A RangeError exception if the value is an empty list data structure. 
+     */
+    function checkNodesParam() {
+
+        var index;
+
+        if (isAncestryNode(nodes)) {
+
+            nodes = [nodes];
+            return;
+        }
+
+        if (!nodes || typeof nodes !== "object" 
+            || typeof nodes.length !== "number") {
+
+            throw new TypeError("Parameter \"nodes\" needs to be a Node " 
+                + "object or a list data structure of Node objects.");
+        }
+
+        if (!nodes.length) {
+
+            throw new RangeError("The value passed to parameter \"nodes\" " 
+                + "must not be an empty list data structure.");
+        }
+
+        for (index = 0; index < nodes.length; index++) {
+
+            if (!isAncestryNode(nodes[index])) {
+
+                throw new TypeError("Entry " + index + " of parameter " 
+                    + "\"nodes\" must be a Node object.");
+            }
+        }
+    }
+
+    /**
+     * Lists a Node object and all of its ancestors, from the Node itself up 
+     * to its root Node. 
+     * 
+     * @param {Node} startNode - The Node object to start from. 
+     * 
+     * @returns {Array<Node>} - The Node object and its ancestors 
+     */
+    function getAncestry(startNode) {
+
+        var ancestry = [], currentNode = startNode;
+
+        while (currentNode) {
+
+            ancestry.push(currentNode);
+            currentNode = getParentNode(currentNode, options.composed);
+        }
+
+        return ancestry;
+    }
+
+    /**
+     * Finds the index of a Node object in an ancestry Array. 
+     * 
+     * @param {Array<Node>} ancestry - The ancestry Array. 
+     * 
+     * @param {Node} target - The Node object to search for. 
+     * 
+     * @returns {number} - The index, or -1 
+     */
+    function indexInAncestry(ancestry, target) {
+
+        var index;
+
+        for (index = 0; index < ancestry.length; index++) {
+
+            if (ancestry[index] === target) {
+
+                return index;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Narrows the ancestry of the common ancestors found so far down to the 
+     * ones which also contain another Node object, by traversing up from that 
+     * Node until one of them is reached. 
+     * 
+     * @param {Array<Node>} common - The ancestry of the lowest common 
+     * ancestor found so far. 
+     * 
+     * @param {Node} entry - The other Node object. 
+     * 
+     * @returns {Array<Node> | null} - 
+     * The narrowed ancestry, or null if the Node is in a different DOM tree 
+     */
+    function narrow(common, entry) {
+
+        var currentNode = entry, index;
+
+        while (currentNode) {
+
+            index = indexInAncestry(common, currentNode);
+
+            if (index >= 0) {
+
+                return common.slice(index);
+            }
+
+            currentNode = getParentNode(currentNode, options.composed);
+        }
+
+        return null;
+    }
+
+    /* Main function execution area */
+    var common = null, index;
+
+    checkNodesParam();
+    options = checkAncestryOptions(options, { composed: false }, 
+        "getCommonAncestor()");
+
+    for (index = 0; index < nodes.length; index++) {
+
+        common = common ? narrow(common, nodes[index]) 
+            : getAncestry(nodes[index]);
+
+        if (!common) {
+
+            return null;
+        }
+    }
+
+    return common ? common[0] : null;
+}
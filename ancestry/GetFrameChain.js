@@ -0,0 +1,146 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/* The getOwnerDocument() function from ancestry/GetOwnerDoc.js is essential 
+ for the getFrameChain() and getTopDocument() functions, since it provides the 
+ Document object from which the chain of frames starts. */
+if (typeof getOwnerDocument !== "function") {
+
+    throw new ReferenceError("getOwnerDocument() function from " 
+        + "ancestry/GetOwnerDoc.js must be loaded in order to use the " 
+        + "getFrameChain() and getTopDocument() functions.");
+}
+
+/* The getOwnerWindow() function from ancestry/GetOwnerWindow.js is essential 
+ for the getFrameChain() function, since it finds the Window object of each 
+ Document object in the chain. */
+if (typeof getOwnerWindow !== "function") {
+
+    throw new ReferenceError("getOwnerWindow() function from " 
+        + "ancestry/GetOwnerWindow.js must be loaded in order to use the " 
+        + "getFrameChain() and getTopDocument() functions.");
+}
+
+/**
+ * Lists the <iframe> or <frame> Elements which embed the Document object of a 
+ * Node object, from the one embedding its own Document up to the one in the 
+ * topmost Document, by following the "frameElement" property of each 
+ * Document's Window object, as found by the getOwnerWindow() function. The 
+ * Window object is looked up from the Document object of the Node, so a Node 
+ * which is detached from its Document still has the chain of that Document. 
+ * 
+ * The "frameElement" property of a Window object embedded by a Document from 
+ * another origin is null in modern Internet browsers, while older ones throw 
+ * a "SecurityError" exception, or an "Access is denied" Error in Internet 
+ * Explorer, when it is read. Either way, the chain stops at the last frame 
+ * Element which can be accessed, rather than throwing an exception. 
+ * 
+ * For more information on associated JavaScript APIs and properties, reference 
+ * authoritative documentation: 
+ * 
+ * The Window interface's "frameElement" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Window/frameElement 
+ * 
+ * The Document interface's "defaultView" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Document/defaultView 
+ * 
+ * @param {Node} node - Required. The Node object from whose Document the 
+ * chain starts. A Document object is accepted as well. 
+ * 
+ * @throws - 
+ * A TypeError exception from the getOwnerDocument() function if the value 
+ * passed to the "node" parameter is not a Node object. 
+ * 
+ * @returns {Array<Element>} - 
+ * An Array of the frame Elements, starting from the closest one. It is empty 
+ * if the Document is not embedded in a frame, if the Node has no Document, 
+ * or if the embedding Document is from another origin. 
+ */
+function getFrameChain(node) {
+
+    /**
+     * Reads the "frameElement" property of a Window object. 
+     * 
+     * @param {Window} win - The Window object. 
+     * 
+     * @returns {Element | null} - 
+     * The frame Element, or null if there is none, or if reading it throws an 
+     * exception because the embedding Document is from another origin. 
+     */
+    function getFrameElement(win) {
+
+        try {
+
+            return win.frameElement || null;
+        }
+        catch (e) {
+
+            return null;
+        }
+    }
+
+    /* Main function execution area */
+    var chain = [], doc, win, frame;
+
+    doc = node && node.nodeType === 9 ? node : getOwnerDocument(node);
+    win = doc ? getOwnerWindow(doc) : null;
+
+    while (win) {
+
+        frame = getFrameElement(win);
+
+        if (!frame) {
+
+            break;
+        }
+
+        chain.push(frame);
+        doc = frame.ownerDocument;
+        win = doc ? getOwnerWindow(doc) : null;
+    }
+
+    return chain;
+}
+
+/**
+ * Gets the topmost Document object which can be accessed from a Node object, 
+ * by following its chain of frame Elements, as found by the getFrameChain() 
+ * function. This is the Document of the top-level Window object if every 
+ * Document in the chain is from the same origin, or otherwise the last one 
+ * below a Document from another origin. 
+ * 
+ * @param {Node} node - Required. The Node object from whose Document the 
+ * chain starts. A Document object is accepted as well. 
+ * 
+ * @throws - 
+ * A TypeError exception from the getOwnerDocument() function if the value 
+ * passed to the "node" parameter is not a Node object. 
+ * 
+ * @returns {Document | null} - 
+ * The topmost accessible Document, or null if the Node has no Document. 
+ */
+function getTopDocument(node) {
+
+    var chain = getFrameChain(node);
+
+    if (chain.length) {
+
+        return chain[chain.length - 1].ownerDocument;
+    }
+
+    return node.nodeType === 9 ? node : getOwnerDocument(node);
+}
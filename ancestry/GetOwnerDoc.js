@@ -19,7 +19,9 @@
  * Gets the top-level, or owner, Document object for a Node object. Intended to 
  * be a polyfill function with near-universal JavaScript support for both 
  * modern and legacy Internet browsers. Especially useful for when browsers do 
- * not support the Node interface's "ownerDocument" property. 
+ * not support the Node interface's "ownerDocument" property. This function is 
+ * installed under the Node interface's prototype as the "ownerDocument" 
+ * getter if that property is not supported. 
  * 
  * For more information on associated JavaScript APIs and properties, reference 
  * authoritative documentation: 
@@ -36,6 +38,11 @@
  * @param {Node} node - The Node object to have its have its owner Document 
  * found. 
  * 
+ * @param {boolean} overridden - Optional. Whether this function is called by 
+ * the "ownerDocument" getter installed by this file. If truthy, the 
+ * "ownerDocument" property of the Node object is not read, since reading it 
+ * would call the getter, and so this function, again. 
+ * 
  * @throws - 
  * A TypeError exception if the value passed to the "node" parameter is not a 
  * Node object. 
@@ -55,7 +62,7 @@
  * - the Node has not been attached to a web page with a DOM tree structure 
  *   rooted on a Document object. 
  */
-function getOwnerDocument(node) {
+function getOwnerDocument(node, overridden) {
 
     /** 
      * Checks whether or not the value passed to the "node" parameter is a Node 
@@ -78,7 +85,9 @@ function getOwnerDocument(node) {
      * Helper method. Checks whether or not a value is a Node object. 
      * - If the Node interface is supported, checks whether the value 
      *   implements it. 
-     * - Otherwise, checks if the value is a non-null object and if it has the  
+     * - Otherwise, or if the value is a Node object from another frame, which 
+     *   implements that frame's own Node interface, checks if the value is a 
+     *   non-null object with a number "nodeType" property and the 
      *   appendChild() method of the Node interface. 
      * 
      * @param {any} obj - The value to be checked. 
@@ -89,12 +98,12 @@ function getOwnerDocument(node) {
      */
     this.isNode = function(obj) {
 
-        if (typeof Node !== "undefined") {
+        if (typeof Node !== "undefined" && obj instanceof Node) {
 
-            return obj instanceof Node;
+            return true;
         }
 
-        return !!(obj && obj.appendChild);
+        return !!(obj && typeof obj.nodeType === "number" && obj.appendChild);
     }
 
     /**
@@ -127,10 +136,13 @@ function getOwnerDocument(node) {
      * Document object for the Node object passed to the "node" parameter of 
      * the parent function. 
      * - First, tries to return the value of the "ownerDocument" property on 
-     *   the target Node, if it is supported. 
+     *   the target Node, if it is supported and is not the getter installed 
+     *   by this file. 
      * - Otherwise, traverses up the ancestral Node hierarchy or DOM tree 
      *   structure, starting at the target Node, by repeatedly calling the Node 
      *   interface's "parentNode" property until a value of null is returned. 
+     *   The traversal continues from the host of any ShadowRoot node reached, 
+     *   so that Nodes inside of a ShadowRoot node also have an owner Document. 
      * - Once a Node with no further ancestors, called the root Node, is found, 
      *   tests whether or not it is a Document object. If so, it is the owner 
      *   Document to the target Node in its DOM tree structure. 
@@ -157,16 +169,17 @@ function getOwnerDocument(node) {
             return null;
         }
     
-        if (typeof node.ownerDocument !== "undefined") {
+        if (!overridden && typeof node.ownerDocument !== "undefined") {
     
             return node.ownerDocument;
         }
     
         var owner = node;
     
-        while (owner.parentNode) {
+        while (owner.parentNode 
+            || (owner.nodeType === 11 && owner.host)) {
     
-            owner = owner.parentNode;
+            owner = owner.parentNode || owner.host;
         }
 
         return this.isDocument(owner) ? owner : null;
@@ -176,3 +189,33 @@ function getOwnerDocument(node) {
     this.checkParameter();
     return this.tryMethods();
 }
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Node interface's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Node \"ownerDocument\" polyfill.");
+}
+
+/* If the Node interface is supported and its "ownerDocument" property is not, 
+ install an "ownerDocument" getter in its prototype which returns a value from 
+ the getOwnerDocument() function. In Internet browsers without the Node 
+ interface, the getOwnerDocument() function can be called directly, or 
+ through the ownerDocument() ponyfill. */
+if (typeof Node !== "undefined" && Node) {
+
+    installPolyfill(Node.prototype, "ownerDocument", {
+        get: function() {
+
+            return getOwnerDocument(this, true);
+        }
+    });
+}
+else {
+
+    ponyfill.ownerDocument = function(node) {
+
+        return getOwnerDocument(node, false);
+    };
+}
@@ -0,0 +1,177 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/* The getOwnerDocument() function from ancestry/GetOwnerDoc.js is essential 
+ for the getOwnerWindow() function, since it provides the fallbacks for 
+ finding the Document object of a Node object. */
+if (typeof getOwnerDocument !== "function") {
+
+    throw new ReferenceError("getOwnerDocument() function from " 
+        + "ancestry/GetOwnerDoc.js must be loaded in order to use the " 
+        + "getOwnerWindow() function.");
+}
+
+/**
+ * Gets the Window object, or browsing context, which displays the Document 
+ * object that a Node object is attached to. This is needed, for example, to 
+ * call the getComputedStyle() or setTimeout() methods of the correct Window 
+ * object for a Node object inside of an iframe. 
+ * 
+ * The Document object is found with the getOwnerDocument() function, and its 
+ * Window object is then read from: 
+ * - its "defaultView" property, if it is supported; or otherwise 
+ * - its "parentWindow" property, which Internet Explorer 8 and earlier 
+ *   versions support instead. 
+ * 
+ * For more information on associated JavaScript APIs and properties, reference 
+ * authoritative documentation: 
+ * 
+ * The Document interface's "defaultView" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Document/defaultView 
+ * 
+ * The Window interface: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Window 
+ * 
+ * @param {Node} node - Required. The Node object to have its owner Window 
+ * object found. A Document object is accepted as well, in which case its own 
+ * Window object is returned. 
+ * 
+ * @throws - 
+ * A TypeError exception if the value passed to the "node" parameter is not a 
+ * Node object. 
+ * 
+ * @returns {Window | null} - 
+ * The Window object, or null if: 
+ * - the Node object is detached, meaning that it is not a descendant of its 
+ *   Document object, including through the hosts of any ShadowRoot nodes it 
+ *   is inside of; or 
+ * - the Document object has no Window object, e.g. because it was created 
+ *   with the DOMImplementation interface's createHTMLDocument() method or 
+ *   because its iframe has been removed. 
+ */
+function getOwnerWindow(node) {
+
+    /**
+     * Gets the Document object of the target Node object, which is the target 
+     * Node object itself if it is a Document object. The nodeType property is 
+     * checked for this, rather than the Document interface, since a Document 
+     * object from another frame does not implement the Document interface of 
+     * the current frame. 
+     * 
+     * @throws - 
+     * A TypeError exception from the getOwnerDocument() function if the value 
+     * passed to the "node" parameter is not a Node object. 
+     * 
+     * @returns {Document | null} - The Document object, or null 
+     */
+    function getDocument() {
+
+        var ownerDoc = getOwnerDocument(node);
+
+        if (ownerDoc === null && node.nodeType === 9) {
+
+            return node;
+        }
+
+        return ownerDoc;
+    }
+
+    /**
+     * Checks whether the target Node object is attached to a Document object 
+     * by traversing up its ancestral DOM tree hierarchy, continuing from the 
+     * host of any ShadowRoot node reached, as the "isConnected" property of 
+     * the Node interface does. 
+     * 
+     * @param {Document} ownerDoc - The Document object of the target Node. 
+     * 
+     * @returns {boolean} - Boolean true or false 
+     */
+    function isAttached(ownerDoc) {
+
+        var currentNode = node;
+
+        while (currentNode) {
+
+            if (currentNode === ownerDoc) {
+
+                return true;
+            }
+
+            currentNode = currentNode.parentNode 
+                || (currentNode.nodeType === 11 && currentNode.host) || null;
+        }
+
+        return false;
+    }
+
+    /**
+     * Records the property used by the tryMethods() method in the registry 
+     * of the optional polyfill/PolyfillStatus.js file, if it is loaded, under 
+     * the name "getOwnerWindow". 
+     * 
+     * @param {string} status - "native", "polyfilled" or "unavailable". 
+     * 
+     * @param {string} tier - The name of the property that was used, if any. 
+     * 
+     * @param {Window | null} result - The value of that property. 
+     * 
+     * @returns {Window | null} - The "result" argument, unchanged 
+     */
+    function recordTier(status, tier, result) {
+
+        if (typeof recordPolyfillStatus === "function") {
+
+            recordPolyfillStatus("getOwnerWindow", status, tier);
+        }
+
+        return result;
+    }
+
+    /**
+     * Tries the Document object properties which reference its Window object. 
+     * 
+     * @param {Document} ownerDoc - The Document object of the target Node. 
+     * 
+     * @returns {Window | null} - The Window object, or null 
+     */
+    function tryMethods(ownerDoc) {
+
+        if (typeof ownerDoc.defaultView !== "undefined") {
+
+            return recordTier("native", "defaultView", ownerDoc.defaultView);
+        }
+
+        if (typeof ownerDoc.parentWindow !== "undefined") {
+
+            return recordTier("polyfilled", "parentWindow", 
+                ownerDoc.parentWindow);
+        }
+
+        recordTier("unavailable");
+        return null;
+    }
+
+    /* Main function execution area */
+    var ownerDoc = getDocument();
+
+    if (!ownerDoc || !isAttached(ownerDoc)) {
+
+        return null;
+    }
+
+    return tryMethods(ownerDoc) || null;
+}
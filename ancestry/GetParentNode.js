@@ -0,0 +1,110 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * Gets the parent of a Node object in its DOM tree structure, optionally 
+ * crossing from a ShadowRoot node to its host Element, the same way the 
+ * upwardsTraversal() method of the getRootNodePolyfill() function in 
+ * ancestry/GetRootNode.js does when its "composed" option is true. The 
+ * functions in the ancestry/ directory which compare the positions of Node 
+ * objects use this function to traverse up their ancestral DOM tree 
+ * hierarchies. 
+ * 
+ * An Attr node has no parent Node, as its "parentNode" property is null. This 
+ * function returns its Element object, referenced by the "ownerElement" 
+ * property, instead, so that the position of an attribute is the same as the 
+ * position of its Element, just like with the Node interface's 
+ * compareDocumentPosition() method. 
+ * 
+ * For more information on associated JavaScript APIs and properties, reference 
+ * authoritative documentation: 
+ * 
+ * The Node interface's "parentNode" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Node/parentNode 
+ * 
+ * The ShadowRoot interface's "host" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/ShadowRoot/host 
+ * 
+ * The Attr interface's "ownerElement" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Attr/ownerElement 
+ * 
+ * @param {Node} node - Required. The Node object to have its parent found. 
+ * Node objects from other frames are accepted as well. 
+ * 
+ * @param {boolean} composed - Optional. If truthy, the host Element of a 
+ * ShadowRoot node is returned as its parent. Otherwise, a ShadowRoot node has 
+ * no parent, just like a Document object. 
+ * 
+ * @throws - 
+ * A TypeError exception if the value passed to the "node" parameter is not a 
+ * Node object. 
+ * 
+ * @returns {Node | null} - 
+ * The parent Node, the host Element, or the owner Element, or null if the 
+ * Node object has none. 
+ */
+function getParentNode(node, composed) {
+
+    /**
+     * Checks whether the value passed to the "node" parameter of the parent 
+     * function is a Node object: 
+     * 
+     * - If the Node interface is supported by a user's Internet browser, 
+     *   checks whether the value implements it. 
+     * 
+     * - Otherwise, or if the value is a Node object from another frame, checks 
+     *   whether the value is a non-null object with a number "nodeType" 
+     *   property and the appendChild() method of the Node interface. 
+     * 
+     * @throws A TypeError exception if the value is not a Node object. 
+     */
+    function checkNodeParam() {
+
+        if (typeof Node !== "undefined" && node instanceof Node) {
+
+            return;
+        }
+
+        if (!node || typeof node.nodeType !== "number" || !node.appendChild) {
+
+            throw new TypeError("The value passed to the \"node\" parameter " 
+                + "must be a Node object.");
+        }
+    }
+
+    /* Main function execution area. A nodeType of 2 indicates an Attr node, 
+     and a nodeType of 11 indicates a DocumentFragment node, of which a 
+     ShadowRoot node is a kind. */
+    checkNodeParam();
+
+    if (node.nodeType === 2) {
+
+        return node.ownerElement || null;
+    }
+
+    if (node.parentNode) {
+
+        return node.parentNode;
+    }
+
+    if (composed && node.nodeType === 11 && node.host) {
+
+        return node.host;
+    }
+
+    return null;
+}
@@ -45,6 +45,9 @@
  * The Node interface's "parentNode" property: 
  * https://developer.mozilla.org/en-US/docs/Web/API/Node/parentNode 
  * 
+ * The Element interface's "assignedSlot" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Element/assignedSlot 
+ * 
  * @param {Node} node - Required. The target Node object which will have its 
  * root Node found. 
  * 
@@ -54,8 +57,26 @@
  *   parameter's target Node, will be returned, if present. 
  * - true, the topmost root Node beyond any intermediate ancestral ShadowRoot  
  *   nodes will be returned. 
- * By default, if no value is passed to the "options" parameter and it remains 
- * undefined, options.composed is set to false. 
+ * The object may also contain a property of name "flattened" and a Boolean 
+ * value. If it is true, the traversal follows the flattened tree, in which 
+ * Nodes are rendered, rather than the DOM tree: a Node assigned to a <slot> 
+ * Element of a ShadowRoot node continues the traversal from that <slot> 
+ * Element, as referenced by its "assignedSlot" property, instead of from its 
+ * parent Node. Without options.composed, a slotted Node then has the 
+ * ShadowRoot node in which it is rendered as its root Node, rather than the 
+ * root Node of its host. Note that the "assignedSlot" property is null for 
+ * Nodes assigned to a <slot> Element of a closed ShadowRoot node, which 
+ * therefore cannot be followed. 
+ * The object may also contain a property of name "templates" and a Boolean 
+ * value. If it is true, and the traversal reaches the DocumentFragment of the 
+ * content of a <template> Element, it continues from that <template> 
+ * Element, as found by the getTemplateHost() function from 
+ * ancestry/GetTemplateHost.js, which must then be loaded. 
+ * The user's options are copied over an object of default options with the 
+ * objectAssignPolyfill() function from object/Assign.js, so if no value is 
+ * passed to the "options" parameter, or the object does not contain a 
+ * "composed", "flattened" or "templates" property, that option is set to 
+ * false. The object passed to the "options" parameter is not modified. 
  * 
  * @param {boolean} overriden - A Boolean value indicating whether or not this 
  * function was used for functionalty adding support for or replacing an 
@@ -74,8 +95,12 @@
  * - The value passed to the "options" parameter is defined and is not a 
  *   non-null object. 
  * ReferenceError exception if: 
- * - A property of name "composed" with a Boolean value is not found in a 
- *   non-null object passed to the "options" parameter. 
+ * - The "composed", "flattened" or "templates" property of a non-null object 
+ *   passed to the "options" parameter is defined and does not have a 
+ *   Boolean value; 
+ * - The objectAssignPolyfill() function is not loaded; or 
+ * - The "templates" option is true and the getTemplateHost() function is not 
+ *   loaded. 
  * 
  * @returns {HTMLDocument | ShadowRoot | Node} - 
  * If ShadowRoot Nodes are supported by a user's Internet browser, and the 
@@ -95,8 +120,9 @@ function getRootNodePolyfill(node, options, overridden) {
      * correct primitive data types, whether they implement the proper 
      * interfaces, or whether they inherit from the proper classes. 
      * - The value passed to the "node" parameter must be a Node object. 
-     * - The value passed to the "options" parameter must be a non-null object 
-     *   containing a Boolean-type property of name "composed". 
+     * - The value passed to the "options" parameter must either be undefined 
+     *   or a non-null object whose "composed", "flattened" and "templates" 
+     *   properties, if defined, are Booleans. 
      */
     function checkParams() {
 
@@ -146,40 +172,93 @@ function getRootNodePolyfill(node, options, overridden) {
 
     /**
      * Checks whether the value passed to the "options" parameter of the parent 
-     * function is a non-null object with a Boolean-type property named 
-     * "composed". If the "options" parameter is undefined, meaning no value 
-     * was passed to it, it will be assigned an object with the "composed" 
-     * property defaulting to Boolean false. 
+     * function is either undefined or a non-null object, then replaces it with 
+     * a new object containing the default options, overridden by the ones 
+     * which were passed. The "composed", "flattened" and "templates" 
+     * properties default to Boolean false. 
      * 
      * @throws - 
      * - A TypeError exception if a value is passed to the "options" parameter 
      *   and it is falsey, not an object, or null. 
-     * - A ReferenceError exception if no Boolean-type property named 
-     *   "composed" was found in a non-null object passed to the "options" 
-     *   parameter. 
+     * - A ReferenceError exception if the objectAssignPolyfill() function is 
+     *   not loaded, if the "composed", "flattened" or "templates" property of 
+     *   the options does not have a Boolean value, or if the "templates" 
+     *   option is true and the getTemplateHost() function is not loaded. 
      */
     function checkOptionsParam() {
 
-        if (typeof options === "undefined") {
+        if (typeof objectAssignPolyfill !== "function") {
 
-            options = { composed: false };
-            return;
+            throw new ReferenceError("objectAssignPolyfill() function must " 
+                + "be loaded in order to apply the default options of the " 
+                + "getRootNodePolyfill() function.");
         }
 
-        if (options && typeof options === "object") {
+        if (typeof options !== "undefined" 
+            && (!options || typeof options !== "object")) {
 
-            if (typeof options.composed === "boolean") {
+            throw new TypeError("Value passed to \"options\" parameter must " 
+                + "be an object with a Boolean-value property named " 
+                + "\"composed\".");
+        }
 
-                return;
-            }
+        options = objectAssignPolyfill({ 
+            composed: false, 
+            flattened: false, 
+            templates: false 
+        }, [options]);
 
-            throw new ReferenceError("The object passed to the \"options\" " 
-                + "parameter must contain the Boolean-value property named " 
-                + "\"composed\".");
+        if (typeof options.composed !== "boolean") {
+
+            throw new ReferenceError("The \"composed\" property of the " 
+                + "object passed to the \"options\" parameter must have a " 
+                + "Boolean value.");
+        }
+
+        if (typeof options.flattened !== "boolean") {
+
+            throw new ReferenceError("The \"flattened\" property of the " 
+                + "object passed to the \"options\" parameter must have a " 
+                + "Boolean value.");
+        }
+
+        if (typeof options.templates !== "boolean") {
+
+            throw new ReferenceError("The \"templates\" property of the " 
+                + "object passed to the \"options\" parameter must have a " 
+                + "Boolean value.");
+        }
+
+        if (options.templates && typeof getTemplateHost !== "function") {
+
+            throw new ReferenceError("getTemplateHost() function from " 
+                + "ancestry/GetTemplateHost.js must be loaded in order to " 
+                + "use the \"templates\" option.");
+        }
+    }
+
+    /**
+     * Records the method used by the tryMethods() method in the registry of 
+     * the optional polyfill/PolyfillStatus.js file, if it is loaded, under the 
+     * name "Node.prototype.getRootNode", which is also the name that the 
+     * installPolyfill() function records the polyfill method under. 
+     * 
+     * @param {string} status - "native" or "polyfilled". 
+     * 
+     * @param {string} tier - The name of the method that was used. 
+     * 
+     * @param {Node} result - The result of that method. 
+     * 
+     * @returns {Node} - The "result" argument, unchanged 
+     */
+    function recordTier(status, tier, result) {
+
+        if (typeof recordPolyfillStatus === "function") {
+
+            recordPolyfillStatus("Node.prototype.getRootNode", status, tier);
         }
 
-        throw new TypeError("Value passed to \"options\" parameter must be " 
-            + "an object with a Boolean-value property named \"composed\".");
+        return result;
     }
 
     /**
@@ -195,25 +274,33 @@ function getRootNodePolyfill(node, options, overridden) {
      * - If the Node interface's getRootNode() method hasn't been overridden 
      *   and another implementation of it is already supported, then it will be 
      *   called, as a native Internet browser implementation may be faster than 
-     *   the backup custom DOM tree traversal approach. 
+     *   the backup custom DOM tree traversal approach. If that implementation 
+     *   is the polyfill installed by this file, as told by the 
+     *   isInstalledPolyfill() function, the traversal is used directly 
+     *   instead, so that it is not recorded as a native one. 
      * 
      * - Otherwise, if the Node interface does not support a getRootNode() 
-     *   method in a user's Internet browser, then the upwardsTraversal() 
-     *   backup functionality will be called by default. 
+     *   method in a user's Internet browser, or if options.flattened or 
+     *   options.templates is true, which the native getRootNode() method does 
+     *   not support, then the upwardsTraversal() backup functionality will be 
+     *   called by default. 
      */
     function tryMethods() {
 
         if (overridden) {
 
-            return upwardsTraversal(node);
+            return recordTier("polyfilled", "upwardsTraversal", 
+                upwardsTraversal(node));
         }
 
-        if (node.getRootNode) {
+        if (node.getRootNode && !isInstalledPolyfill(node.getRootNode) 
+            && !options.flattened && !options.templates) {
 
-            return node.getRootNode(options);
+            return recordTier("native", "native", node.getRootNode(options));
         }
         
-        return upwardsTraversal(node);
+        return recordTier("polyfilled", "upwardsTraversal", 
+            upwardsTraversal(node));
     }
 
     /**
@@ -264,14 +351,23 @@ function getRootNodePolyfill(node, options, overridden) {
      * - If options.composed is set to false, the first associated ancestral 
      *   ShadowRoot instance to the target Node will be returned. This behavior 
      *   is default. 
+     * 
+     * - If options.flattened is set to true, each Node assigned to a <slot> 
+     *   Element continues the traversal from that <slot> Element, which is 
+     *   inside of the ShadowRoot node of the Node's parent. 
+     * 
+     * - If options.templates is set to true, and the traversal result is the 
+     *   DocumentFragment of the content of a <template> Element, then this 
+     *   method will recursively call itself to traverse further up from that 
+     *   <template> Element. 
      */
     function upwardsTraversal(startNode) {
 
-        var currentNode = startNode;
+        var currentNode = startNode, template;
 
-        while (currentNode.parentNode) {
+        while (getParent(currentNode)) {
 
-            currentNode = currentNode.parentNode;
+            currentNode = getParent(currentNode);
         }
 
         if (typeof ShadowRoot !== "undefined" 
@@ -281,9 +377,39 @@ function getRootNodePolyfill(node, options, overridden) {
             return upwardsTraversal(currentNode.host);
         }
 
+        if (options.templates && currentNode.nodeType === 11 
+            && !currentNode.host) {
+
+            template = getTemplateHost(currentNode);
+
+            if (template) {
+
+                return upwardsTraversal(template);
+            }
+        }
+
         return currentNode;
     }
 
+    /**
+     * Gets the next Node of the traversal up from a Node, which is the 
+     * <slot> Element it is assigned to if options.flattened is true and the 
+     * Node has an "assignedSlot" property value, or its parent Node otherwise. 
+     * 
+     * @param {Node} currentNode - The current Node of the traversal. 
+     * 
+     * @returns {Node | null} - The next Node, or null 
+     */
+    function getParent(currentNode) {
+
+        if (options.flattened && currentNode.assignedSlot) {
+
+            return currentNode.assignedSlot;
+        }
+
+        return currentNode.parentNode;
+    }
+
     /* Main function calling and execution area */
     checkParams();
     return tryMethods();
@@ -297,17 +423,35 @@ if (!Node) {
     Node = window.Node;
 }
 
-/* If the Node interface is supported and the Node interface's getRootNode() 
-method is not supported by the current Internet browser, then override the 
-getRootNode() method in the prototype by setting it to a function that calls 
-and returns a value from the getRootNodePolyfill() function. This call 
-passes a "this" reference to the current Node object to the "node" parameter 
-and a Boolean true value to the "overridden" parameter of the 
-getRootNodePolyfill() function. */
-if (Node && !Node.prototype.getRootNode) {
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+loaded before this file in order to patch the Node interface's prototype. */
+if (typeof installPolyfill !== "function") {
 
-    Node.prototype.getRootNode = function(options) {
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Node getRootNode() polyfill.");
+}
+
+/* If the Node interface is supported and the Node interface's getRootNode() 
+method is not supported by the current Internet browser, then install a 
+non-enumerable getRootNode() method in the prototype which calls and returns a 
+value from the getRootNodePolyfill() function. This call passes a "this" 
+reference to the current Node object to the "node" parameter and a Boolean 
+true value to the "overridden" parameter of the getRootNodePolyfill() 
+function. The installPolyfill() function also adds it to the "ponyfill" object 
+as the getRootNode() ponyfill. Without the Node interface, as in Internet 
+Explorer 8 and earlier versions, there is no prototype to patch, so the 
+ponyfill is added directly. */
+if (Node) {
+
+    installPolyfill(Node.prototype, "getRootNode", function(options) {
 
         return getRootNodePolyfill(this, options, true);
-    }
+    });
+}
+else {
+
+    ponyfill.getRootNode = function(node, options) {
+
+        return getRootNodePolyfill(node, options, false);
+    };
 }
@@ -0,0 +1,157 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * Finds the <template> Element whose content a Node object belongs to. The 
+ * content of a <template> Element is a DocumentFragment, referenced by its 
+ * "content" property, which is owned by a separate, inert Document object and 
+ * has no reference back to the <template> Element. The getOwnerDocument() 
+ * and getRootNodePolyfill() functions therefore return the inert Document and 
+ * the DocumentFragment for a Node inside of it. This function instead finds 
+ * the <template> Element by searching a container for the <template> Element 
+ * with that DocumentFragment as its content, including inside of the content 
+ * of other <template> Elements. 
+ * 
+ * The getRootNodePolyfill() function from ancestry/GetRootNode.js also calls 
+ * this function when its "templates" option is true, so that the traversal 
+ * continues from the <template> Element. 
+ * 
+ * For more information on associated JavaScript APIs and properties, reference 
+ * authoritative documentation: 
+ * 
+ * The HTMLTemplateElement interface's "content" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/HTMLTemplateElement/content 
+ * 
+ * @param {Node} node - Required. The Node object inside of the content of a 
+ * <template> Element, or the DocumentFragment of the content itself. 
+ * 
+ * @param {Document | Element | DocumentFragment} container - Optional. The 
+ * Node in which the <template> Element is searched for. <template> Elements 
+ * inside of ShadowRoot nodes are only found if the ShadowRoot node itself is 
+ * passed. Defaults to the current web page's Document object. 
+ * 
+ * @throws - 
+ * A TypeError exception if the value passed to the "node" parameter is not a 
+ * Node object, or if the value passed to the "container" parameter is 
+ * defined and does not have a querySelectorAll() method. 
+ * 
+ * @returns {HTMLTemplateElement | null} - 
+ * The <template> Element, or null if the Node is not inside of the content of 
+ * a <template> Element in the container, or if the Internet browser does not 
+ * support <template> Elements. 
+ */
+function getTemplateHost(node, container) {
+
+    /**
+     * Checks whether the values passed to the parameters of the parent 
+     * function are a Node object and either undefined or a Node with a 
+     * querySelectorAll() method, and sets the container to the current 
+     * Document object if none was passed. 
+     * 
+     * @throws - 
+     * A TypeError exception if either value is invalid. 
+     */
+    function checkParams() {
+
+        if (!(typeof Node !== "undefined" && node instanceof Node) 
+            && !(node && typeof node.nodeType === "number" 
+            && node.appendChild)) {
+
+            throw new TypeError("The value passed to the \"node\" parameter " 
+                + "must be a Node object.");
+        }
+
+        if (typeof container === "undefined") {
+
+            container = document;
+        }
+        else if (!container || !container.querySelectorAll) {
+
+            throw new TypeError("The value passed to the \"container\" " 
+                + "parameter must be a Document, Element or DocumentFragment " 
+                + "object.");
+        }
+    }
+
+    /**
+     * Traverses up from the target Node to the Node with no parent. 
+     * 
+     * @returns {Node} - The root Node 
+     */
+    function getRoot() {
+
+        var currentNode = node;
+
+        while (currentNode.parentNode) {
+
+            currentNode = currentNode.parentNode;
+        }
+
+        return currentNode;
+    }
+
+    /**
+     * Searches a Node, and the content of each <template> Element inside of 
+     * it, for the <template> Element whose content is a DocumentFragment. 
+     * 
+     * @param {Document | Element | DocumentFragment} searchNode - The Node to 
+     * be searched. 
+     * 
+     * @param {DocumentFragment} content - The DocumentFragment. 
+     * 
+     * @returns {HTMLTemplateElement | null} - The <template> Element, or null 
+     */
+    function search(searchNode, content) {
+
+        var templates = searchNode.querySelectorAll("template"), index, found;
+
+        for (index = 0; index < templates.length; index++) {
+
+            if (templates[index].content === content) {
+
+                return templates[index];
+            }
+        }
+
+        for (index = 0; index < templates.length; index++) {
+
+            found = templates[index].content 
+                ? search(templates[index].content, content) : null;
+
+            if (found) {
+
+                return found;
+            }
+        }
+
+        return null;
+    }
+
+    /* Main function execution area. A nodeType of 11 indicates a 
+     DocumentFragment, which must not be a ShadowRoot node. */
+    var root;
+
+    checkParams();
+    root = getRoot();
+
+    if (root.nodeType !== 11 || root.host) {
+
+        return null;
+    }
+
+    return search(container, root);
+}
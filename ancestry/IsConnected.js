@@ -0,0 +1,95 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/* The getRootNodePolyfill() function from ancestry/GetRootNode.js is 
+ essential for the isConnectedPolyfill() function, since it provides the 
+ traversal up the DOM tree Node hierarchy. */
+if (typeof getRootNodePolyfill !== "function") {
+
+    throw new ReferenceError("getRootNodePolyfill() function from " 
+        + "ancestry/GetRootNode.js must be loaded in order to use the " 
+        + "isConnectedPolyfill() function.");
+}
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Node 
+ * interface's "isConnected" property for Internet browsers that do not 
+ * support it. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Node "isConnected" 
+ * property: 
+ * "The read-only isConnected property of the Node interface returns a boolean 
+ * indicating whether the node is connected (directly or indirectly) to a 
+ * Document object." 
+ * 
+ * The root Node of the target Node is found with the getRootNodePolyfill() 
+ * function, with the "composed" option set to true, so that the traversal 
+ * continues from the host of any ShadowRoot node reached. A Node inside of a 
+ * ShadowRoot node is therefore connected if the host of the ShadowRoot node 
+ * is connected. 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Node interface's "isConnected" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Node/isConnected
+ * 
+ * @param {Node} node - Required. The Node object to be checked. 
+ * 
+ * @throws - 
+ * A TypeError exception from the getRootNodePolyfill() function if the value 
+ * passed to the "node" parameter is not a Node object. 
+ * 
+ * @returns {boolean} - 
+ * Boolean true if the root Node of the target Node is a Document object, 
+ * including if the target Node is a Document object itself. Boolean false 
+ * otherwise. 
+ */
+function isConnectedPolyfill(node) {
+
+    var root = getRootNodePolyfill(node, { composed: true }, false);
+    return !!root && root.nodeType === 9;
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Node interface's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Node \"isConnected\" polyfill.");
+}
+
+/* If the Node interface is supported and its "isConnected" property is not, 
+ install an "isConnected" getter in its prototype which returns a value from 
+ the polyfill function defined above. In Internet browsers without the Node 
+ interface, the isConnected() ponyfill is added directly. */
+if (typeof Node !== "undefined" && Node) {
+
+    installPolyfill(Node.prototype, "isConnected", {
+        get: function() {
+
+            return isConnectedPolyfill(this);
+        }
+    });
+}
+else {
+
+    ponyfill.isConnected = function(node) {
+
+        return isConnectedPolyfill(node);
+    };
+}
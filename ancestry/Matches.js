@@ -0,0 +1,270 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Element 
+ * interface's matches() method for Internet browsers that do not support it. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Element matches() 
+ * method: 
+ * "The matches() method of the Element interface tests whether the element 
+ * would be selected by the specified CSS selector." 
+ * 
+ * Tries the following methods, in order: 
+ * - The native matches() method, unless the element's matches() method is 
+ *   the polyfill method installed by this file, which is referenced by the 
+ *   "elementMatchesPolyfill.method" property, since calling it would call 
+ *   this function again. 
+ * - The vendor-prefixed versions of the matches() method which older 
+ *   Internet browsers support, such as webkitMatchesSelector() in Chrome and 
+ *   Safari, mozMatchesSelector() in Firefox, and msMatchesSelector() in 
+ *   Internet Explorer 9 to 11. 
+ * - Otherwise, as in Internet Explorer 8 and earlier versions, a fallback 
+ *   which only supports simple selectors made of a tag name or "*", an ID, 
+ *   and CSS class names, such as "div", "#main", ".item.active" or 
+ *   "li.item", or a comma-separated list of them. The CSS class names are 
+ *   checked with the containsCSSClass() function from 
+ *   class/ContainsCSSClass.js, which must then be loaded. 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Element interface's matches() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Element/matches
+ * 
+ * @param {Element} element - Required. The Element object to be tested. 
+ * 
+ * @param {string} selector - Required. A string containing a CSS selector. 
+ * 
+ * @throws - 
+ * - A TypeError exception if the value passed to the "element" parameter is 
+ *   not an Element object, or if the value passed to the "selector" parameter 
+ *   is not a string. 
+ * - A SyntaxError exception if the fallback is used and the selector is not 
+ *   a simple selector as described above, even if it is a valid selector, 
+ *   such as "div > p". It has the same name as the "SyntaxError" 
+ *   DOMException of the native methods, so that a selector which cannot be 
+ *   matched is handled the same way in every Internet browser. 
+ * - A ReferenceError exception if the fallback is used and the 
+ *   containsCSSClass() function is not loaded. 
+ * - Any exception thrown by a native method, such as a "SyntaxError" 
+ *   DOMException for an invalid selector. 
+ * 
+ * @returns {boolean} - 
+ * Boolean true if the element is selected by the selector, or false 
+ * otherwise. 
+ */
+function elementMatchesPolyfill(element, selector) {
+
+    /**
+     * Checks whether the values passed to the "element" and "selector" 
+     * parameters of the parent function are an Element object and a string. 
+     * An Element object from another frame is recognized by its "nodeType" 
+     * property of 1. 
+     * 
+     * @throws A TypeError exception if either value is invalid. 
+     */
+    function checkParams() {
+
+        if (!(typeof Element !== "undefined" && element instanceof Element) 
+            && !(element && element.nodeType === 1)) {
+
+            throw new TypeError("The value passed to the \"element\" " 
+                + "parameter must be an Element object.");
+        }
+
+        if (typeof selector !== "string") {
+
+            throw new TypeError("The value passed to the \"selector\" " 
+                + "parameter must be a string.");
+        }
+    }
+
+    /**
+     * Records the method used by the tryMethods() method in the registry of 
+     * the optional polyfill/PolyfillStatus.js file, if it is loaded, under the 
+     * name "matches". 
+     * 
+     * @param {string} status - "native" or "polyfilled". 
+     * 
+     * @param {string} tier - The name of the method that was used. 
+     * 
+     * @param {boolean} result - The result of that method. 
+     * 
+     * @returns {boolean} - The "result" argument, unchanged 
+     */
+    function recordTier(status, tier, result) {
+
+        if (typeof recordPolyfillStatus === "function") {
+
+            recordPolyfillStatus("matches", status, tier);
+        }
+
+        return result;
+    }
+
+    /**
+     * Tries the native and vendor-prefixed matches() methods of the element, 
+     * and then the fallback for simple selectors. 
+     * 
+     * @returns {boolean} - Boolean true or false 
+     */
+    function tryMethods() {
+
+        var names = ["webkitMatchesSelector", "mozMatchesSelector", 
+            "msMatchesSelector", "oMatchesSelector", "matchesSelector"];
+        var index;
+
+        if (typeof element.matches === "function" 
+            && element.matches !== elementMatchesPolyfill.method) {
+
+            return recordTier("native", "matches", element.matches(selector));
+        }
+
+        for (index = 0; index < names.length; index++) {
+
+            if (typeof element[names[index]] === "function") {
+
+                return recordTier("native", names[index], 
+                    element[names[index]](selector));
+            }
+        }
+
+        return recordTier("polyfilled", "simpleSelector", bySimpleSelector());
+    }
+
+    /**
+     * Tests the element against each comma-separated simple selector in the 
+     * "selector" argument. 
+     * 
+     * @throws - 
+     * - A ReferenceError exception if the containsCSSClass() function is not 
+     *   loaded. 
+     * - A SyntaxError exception if a selector in the list is not a simple 
+     *   selector. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true if the element matches at least one of the selectors 
+     */
+    function bySimpleSelector() {
+
+        var list = selector.split(","), index, matched = false;
+
+        if (typeof containsCSSClass !== "function") {
+
+            throw new ReferenceError("containsCSSClass() function from " 
+                + "class/ContainsCSSClass.js must be loaded in order to " 
+                + "match selectors without the Element matches() method.");
+        }
+
+        /* Every selector in the list is parsed, even after a match, so that an 
+         unsupported selector is always reported. The stringTrimPolyfill() 
+         function is loaded, since class/ContainsCSSClass.js requires it. */
+        for (index = 0; index < list.length; index++) {
+
+            if (matchesCompound(stringTrimPolyfill(list[index]))) {
+
+                matched = true;
+            }
+        }
+
+        return matched;
+    }
+
+    /**
+     * Tests the element against one simple selector, such as "li.item". 
+     * 
+     * @param {string} compound - The trimmed selector. 
+     * 
+     * @throws - 
+     * A SyntaxError exception if the selector is not a simple selector. 
+     * 
+     * @returns {boolean} - Boolean true or false 
+     */
+    function matchesCompound(compound) {
+
+        var parsed = /^(\*|[A-Za-z][\w-]*)?((?:[#.][\w-]+)*)$/.exec(compound);
+        var parts, classes = [], index;
+
+        if (!compound || !parsed) {
+
+            throw new SyntaxError("The selector \"" + compound + "\" " 
+                + "cannot be matched without the Element matches() method, " 
+                + "which is not supported. Only tag names, IDs and CSS " 
+                + "class names are supported.");
+        }
+
+        if (parsed[1] && parsed[1] !== "*" 
+            && parsed[1].toUpperCase() !== element.nodeName.toUpperCase()) {
+
+            return false;
+        }
+
+        parts = parsed[2].match(/[#.][\w-]+/g) || [];
+
+        for (index = 0; index < parts.length; index++) {
+
+            if (parts[index].charAt(0) === ".") {
+
+                classes.push(parts[index].substring(1));
+            }
+            else if (parts[index].substring(1) !== element.id) {
+
+                return false;
+            }
+        }
+
+        return !classes.length || containsCSSClass(element, classes);
+    }
+
+    /* Main function execution area */
+    checkParams();
+    return tryMethods();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Element interface's 
+ prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Element matches() polyfill.");
+}
+
+/* The matches() polyfill method, which calls the polyfill function defined 
+ above with the current Element object. */
+elementMatchesPolyfill.method = function(selector) {
+
+    return elementMatchesPolyfill(this, selector);
+};
+
+/* If the Element interface is supported and its matches() method is not, 
+ install the matches() polyfill method as a non-enumerable method in its 
+ prototype. Without the Element interface, as in Internet Explorer 7 and 
+ earlier versions, the matches() ponyfill is added directly. */
+if (typeof Element !== "undefined" && Element) {
+
+    installPolyfill(Element.prototype, "matches", 
+        elementMatchesPolyfill.method);
+}
+else {
+
+    ponyfill.matches = function(element, selector) {
+
+        return elementMatchesPolyfill(element, selector);
+    };
+}
@@ -0,0 +1,491 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/* The getOwnerDocument() function from ancestry/GetOwnerDoc.js is essential 
+ for the getNodePath() function, since it provides the default root Node of a 
+ path. */
+if (typeof getOwnerDocument !== "function") {
+
+    throw new ReferenceError("getOwnerDocument() function from " 
+        + "ancestry/GetOwnerDoc.js must be loaded in order to use the " 
+        + "getNodePath() function.");
+}
+
+/* The isAncestryNode() and checkAncestryOptions() functions from 
+ ancestry/CheckAncestryArgs.js check the arguments of the getNodePath() 
+ function. */
+if (typeof checkAncestryOptions !== "function") {
+
+    throw new ReferenceError("checkAncestryOptions() function from " 
+        + "ancestry/CheckAncestryArgs.js must be loaded in order to use " 
+        + "the getNodePath() function.");
+}
+
+/**
+ * Serializes the position of a Node object in the DOM tree structure as a 
+ * path string, which can be stored and later passed to the resolveNodePath() 
+ * function to find the Node object again, for example to restore a scroll 
+ * anchor or to find a Node again after the replaceNode() function from 
+ * replace/ReplaceNode.js has swapped a subtree. 
+ * 
+ * A path lists one segment for each Node from the root Node down to the 
+ * target Node, not including the root Node itself. The traversal up from the 
+ * target Node continues from the host of any ShadowRoot node reached, so a 
+ * ShadowRoot node is listed as a segment of "#shadow-root" between its host 
+ * and its children. A path is written in one of the following styles: 
+ * 
+ * - "css": segments such as "div:nth-child(3)", separated by " > ", where 
+ *   the number is the 1-based position of the Element among the Element 
+ *   children of its parent, as with the CSS :nth-child() pseudo-class. Only 
+ *   Element objects and ShadowRoot nodes can be reached in this style. 
+ *   Example: "html:nth-child(1) > body:nth-child(2) > div:nth-child(3)". 
+ * 
+ * - "xpath": segments such as "div[3]", "text()[1]" or "comment()[2]", each 
+ *   preceded by a "/", where the number is the 1-based position of the Node 
+ *   among the children of its parent with the same tag name, or of the same 
+ *   kind, as with XPath expressions. Other kinds of Nodes, such as document 
+ *   types, are written as "node()[n]", counting every child. 
+ *   Example: "/html[1]/body[1]/div[3]/text()[1]". 
+ * 
+ * - "indices": the 0-based index of each Node in the "childNodes" list of its 
+ *   parent, separated by "/". Example: "1/2/0/#shadow-root/4". 
+ * 
+ * The path of the root Node itself is an empty string in every style. Paths 
+ * are resolved by the resolveNodePath() function itself rather than with the 
+ * querySelector() or evaluate() methods, so both functions work in ES3 
+ * Internet browsers, and the "#shadow-root" segments can be followed. 
+ * 
+ * @param {Node} node - Required. The Node object whose path is serialized. 
+ * 
+ * @param {object} options - Optional. A non-null object with any of the 
+ * following properties: 
+ * - "root": the Node object from which the path starts, which must be an 
+ *   ancestor of the target Node. Defaults to the owner Document of the 
+ *   target Node, as found by the getOwnerDocument() function. 
+ * - "style": "css", "xpath" or "indices", as described above. Defaults to 
+ *   "xpath", which can reach every kind of Node. 
+ * The user's options are copied over an object of default options with the 
+ * objectAssignPolyfill() function from object/Assign.js. The object passed to 
+ * the "options" parameter is not modified. 
+ * 
+ * @throws - 
+ * TypeError exception if: 
+ * - The value passed to the "node" parameter is not a Node object; 
+ * - The value passed to the "options" parameter is defined and is not a 
+ *   non-null object; or 
+ * - The "root" option is neither null nor a Node object. 
+ * RangeError exception if: 
+ * - The "style" option is not "css", "xpath" or "indices"; 
+ * - The target Node is not the root Node or one of its descendants; or 
+ * - The "css" style is used and the target Node or one of its ancestors 
+ *   below the root Node is neither an Element object nor a ShadowRoot node. 
+ * ReferenceError exception if the objectAssignPolyfill() function is not 
+ * loaded. 
+ * 
+ * @returns {string} - The path 
+ */
+function getNodePath(node, options) {
+
+    /**
+     * Checks the values passed to the parameters of the parent function, then 
+     * replaces the value of the "options" parameter with a new object 
+     * containing the default options, overridden by the ones which were 
+     * passed. 
+     * 
+     * @throws - 
+     * A TypeError, RangeError or ReferenceError exception as described in the 
+     * documentation of the parent function. 
+     */
+    function checkParams() {
+
+        if (!isAncestryNode(node)) {
+
+            throw new TypeError("The value passed to the \"node\" parameter " 
+                + "must be a Node object.");
+        }
+
+        options = checkAncestryOptions(options, { 
+            root: null, 
+            style: "xpath" 
+        }, "getNodePath()");
+
+        if (options.root !== null && !isAncestryNode(options.root)) {
+
+            throw new TypeError("The \"root\" option must be null or a Node " 
+                + "object.");
+        }
+
+        if (options.style !== "css" && options.style !== "xpath" 
+            && options.style !== "indices") {
+
+            throw new RangeError("The \"style\" option must be \"css\", " 
+                + "\"xpath\" or \"indices\".");
+        }
+
+        if (options.root === null) {
+
+            options.root = node.nodeType === 9 ? node 
+                : getOwnerDocument(node);
+        }
+    }
+
+    /**
+     * Counts the position of a Node among the children of its parent which 
+     * are compared the same way by a comparison function. 
+     * 
+     * @param {Node} child - The Node to be counted. 
+     * 
+     * @param {Function} isSameKind - Called with each sibling before the 
+     * Node. Returns Boolean true if the sibling is counted. 
+     * 
+     * @returns {number} - The 1-based position 
+     */
+    function countPosition(child, isSameKind) {
+
+        var position = 1, sibling;
+
+        for (sibling = child.previousSibling; sibling; 
+            sibling = sibling.previousSibling) {
+
+            if (isSameKind(sibling)) {
+
+                position++;
+            }
+        }
+
+        return position;
+    }
+
+    /**
+     * Creates the "css" style segment of a Node. 
+     * 
+     * @param {Node} child - The Node. 
+     * 
+     * @throws - 
+     * A RangeError exception if the Node is not an Element object. 
+     * 
+     * @returns {string} - The segment 
+     */
+    function getCSSSegment(child) {
+
+        if (child.nodeType !== 1) {
+
+            throw new RangeError("Only Element objects and ShadowRoot nodes " 
+                + "can be reached by a \"css\" style path. Use the " 
+                + "\"xpath\" or \"indices\" style instead.");
+        }
+
+        return child.nodeName.toLowerCase() + ":nth-child(" 
+            + countPosition(child, function(sibling) {
+
+                return sibling.nodeType === 1;
+            }) + ")";
+    }
+
+    /**
+     * Creates the "xpath" style segment of a Node. 
+     * 
+     * @param {Node} child - The Node. 
+     * 
+     * @returns {string} - The segment 
+     */
+    function getXPathSegment(child) {
+
+        var name = child.nodeName.toLowerCase();
+
+        if (child.nodeType === 1) {
+
+            return name + "[" + countPosition(child, function(sibling) {
+
+                return sibling.nodeType === 1 
+                    && sibling.nodeName.toLowerCase() === name;
+            }) + "]";
+        }
+
+        if (child.nodeType === 3 || child.nodeType === 8) {
+
+            return (child.nodeType === 3 ? "text()" : "comment()") + "[" 
+                + countPosition(child, function(sibling) {
+
+                return sibling.nodeType === child.nodeType;
+            }) + "]";
+        }
+
+        return "node()[" + countPosition(child, function() {
+
+            return true;
+        }) + "]";
+    }
+
+    /**
+     * Creates the segment of a Node in the chosen style. 
+     * 
+     * @param {Node} child - The Node, which has a parent Node. 
+     * 
+     * @returns {string} - The segment 
+     */
+    function getSegment(child) {
+
+        if (options.style === "css") {
+
+            return getCSSSegment(child);
+        }
+
+        if (options.style === "xpath") {
+
+            return getXPathSegment(child);
+        }
+
+        return String(countPosition(child, function() {
+
+            return true;
+        }) - 1);
+    }
+
+    /**
+     * Traverses up from the target Node to the root Node, collecting the 
+     * segment of each Node on the way, and joins them in the chosen style. 
+     * 
+     * @throws - 
+     * A RangeError exception if the root Node is not reached. 
+     * 
+     * @returns {string} - The path 
+     */
+    function buildPath() {
+
+        var segments = [], currentNode = node;
+
+        while (currentNode !== options.root) {
+
+            if (currentNode.parentNode) {
+
+                segments.unshift(getSegment(currentNode));
+                currentNode = currentNode.parentNode;
+            }
+            else if (currentNode.nodeType === 11 && currentNode.host) {
+
+                segments.unshift("#shadow-root");
+                currentNode = currentNode.host;
+            }
+            else {
+
+                throw new RangeError("The Node passed to the \"node\" " 
+                    + "parameter must be the root Node or one of its " 
+                    + "descendants.");
+            }
+        }
+
+        if (options.style === "css") {
+
+            return segments.join(" > ");
+        }
+
+        return (options.style === "xpath" && segments.length ? "/" : "") 
+            + segments.join("/");
+    }
+
+    /* Main function execution area */
+    checkParams();
+    return buildPath();
+}
+
+/**
+ * Finds the Node object at a path created by the getNodePath() function. The 
+ * style of the path is detected from its syntax: a path starting with "/" is 
+ * in the "xpath" style, a path of only numbers and "#shadow-root" segments 
+ * separated by "/" is in the "indices" style, and any other path is in the 
+ * "css" style. 
+ * 
+ * Closed ShadowRoot nodes cannot be reached from their hosts, so a path 
+ * through one of them cannot be resolved. 
+ * 
+ * @param {string} path - Required. The path, as returned by the getNodePath() 
+ * function. An empty string resolves to the root Node itself. 
+ * 
+ * @param {Node} root - Optional. The Node object from which the path starts, 
+ * which must be the same as the root Node used to create it. Defaults to the 
+ * current web page's Document object. 
+ * 
+ * @throws - 
+ * A TypeError exception if the value passed to the "path" parameter is not a 
+ * string, or if the value passed to the "root" parameter is defined and is 
+ * not a Node object. 
+ * 
+ * @returns {Node | null} - 
+ * The Node object at the path, or null if there is none, such as after the 
+ * DOM tree structure has changed. 
+ */
+function resolveNodePath(path, root) {
+
+    /**
+     * Checks the values passed to the parameters of the parent function, and 
+     * sets the root Node to the current Document object if none was passed. 
+     * 
+     * @throws - 
+     * A TypeError exception as described in the documentation of the parent 
+     * function. 
+     */
+    function checkParams() {
+
+        if (typeof path !== "string") {
+
+            throw new TypeError("The value passed to the \"path\" parameter " 
+                + "must be a string.");
+        }
+
+        if (typeof root === "undefined") {
+
+            root = document;
+        }
+        else if (!(typeof Node !== "undefined" && root instanceof Node) 
+            && !(root && typeof root.nodeType === "number" 
+            && root.appendChild)) {
+
+            throw new TypeError("The value passed to the \"root\" parameter " 
+                + "must be a Node object.");
+        }
+    }
+
+    /**
+     * Finds the child of a Node at a 1-based position among the children 
+     * which are accepted by a comparison function. 
+     * 
+     * @param {Node} parent - The parent Node. 
+     * 
+     * @param {number} position - The 1-based position. 
+     * 
+     * @param {Function} isSameKind - Called with each child. Returns Boolean 
+     * true if the child is counted. 
+     * 
+     * @returns {Node | null} - The child, or null 
+     */
+    function findChild(parent, position, isSameKind) {
+
+        var child;
+
+        for (child = parent.firstChild; child; child = child.nextSibling) {
+
+            if (isSameKind(child) && --position === 0) {
+
+                return child;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Finds the child of a Node at a segment of the path. 
+     * 
+     * @param {Node} parent - The parent Node. 
+     * 
+     * @param {string} segment - The segment. 
+     * 
+     * @param {string} style - The style of the path. 
+     * 
+     * @returns {Node | null} - The child, or null 
+     */
+    function resolveSegment(parent, segment, style) {
+
+        var parsed, name, nodeType;
+
+        if (segment === "#shadow-root") {
+
+            return parent.shadowRoot || null;
+        }
+
+        if (style === "indices") {
+
+            return parent.childNodes[Number(segment)] || null;
+        }
+
+        parsed = style === "css" ? /^(.+):nth-child\((\d+)\)$/.exec(segment) 
+            : /^(.+)\[(\d+)\]$/.exec(segment);
+
+        if (!parsed) {
+
+            return null;
+        }
+
+        name = parsed[1].toLowerCase();
+        nodeType = name === "text()" ? 3 : name === "comment()" ? 8 : 1;
+
+        if (style === "css") {
+
+            parsed = findChild(parent, Number(parsed[2]), function(child) {
+
+                return child.nodeType === 1;
+            });
+
+            return parsed && parsed.nodeName.toLowerCase() === name ? parsed 
+                : null;
+        }
+
+        return findChild(parent, Number(parsed[2]), function(child) {
+
+            if (name === "node()") {
+
+                return true;
+            }
+
+            return child.nodeType === nodeType && (nodeType !== 1 
+                || child.nodeName.toLowerCase() === name);
+        });
+    }
+
+    /**
+     * Splits the path into segments according to its style, and follows them 
+     * down from the root Node. 
+     * 
+     * @returns {Node | null} - The Node at the path, or null 
+     */
+    function resolve() {
+
+        var style = "css", segments, index, currentNode = root;
+
+        if (!path) {
+
+            return root;
+        }
+
+        if (path.charAt(0) === "/") {
+
+            style = "xpath";
+            segments = path.substring(1).split("/");
+        }
+        else if (/^(\d+|#shadow-root)(\/(\d+|#shadow-root))*$/.test(path)) {
+
+            style = "indices";
+            segments = path.split("/");
+        }
+        else {
+
+            segments = path.split(" > ");
+        }
+
+        for (index = 0; index < segments.length && currentNode; index++) {
+
+            currentNode = resolveSegment(currentNode, segments[index], style);
+        }
+
+        return currentNode;
+    }
+
+    /* Main function execution area */
+    checkParams();
+    return resolve();
+}
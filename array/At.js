@@ -38,13 +38,15 @@
  * using the Array class's at() method: 
  * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/at
  * 
- * @param { Array | object } targetObj - Required parameter. An Array or 
- * Array-like object which will have an entry at one of its indices retrieved. 
- * An object passed to this parameter must have a consecutively indexed range 
- * of entries and a "length" property indicating the number of entries in the 
- * range. A valid argument must not be undefined or null. Usually, when the 
- * at() polyfill parent method is called, this value will be the "this" 
- * property from the parent function. 
+ * @param { Array | object | string } targetObj - Required parameter. An Array 
+ * or Array-like object which will have an entry at one of its indices 
+ * retrieved. An object passed to this parameter must have a consecutively 
+ * indexed range of entries and a "length" property indicating the number of 
+ * entries in the range. Such objects include TypedArrays, NodeLists, and 
+ * HTMLCollections. A string primitive is also accepted, in which case the 
+ * UTF-16 code unit at the index is retrieved as a new string. A valid argument 
+ * must not be undefined or null. Usually, when the at() polyfill parent method 
+ * is called, this value will be the "this" property from the parent function. 
  * 
  * @param { number } parentArgLen - Required parameter. Contains the integer 
  * number of arguments passed to the parent polyfill calling method. This is 
@@ -165,19 +167,78 @@ function arrayAtPolyfill(targetObj, parentArgLen, index) {
         return index >= 0;
     }
 
+    /**
+     * Retrieves the entry at the checked index of the "targetObj" argument. 
+     * ES3 Internet browsers do not support accessing the characters of a 
+     * string primitive by index, so the String charAt() method is used for 
+     * strings instead. 
+     * 
+     * @returns { any } - 
+     * The entry at the index in the list, or a string containing the single 
+     * UTF-16 code unit at the index for a string. 
+     */
+    function getEntry() {
+
+        if (typeof targetObj === "string") {
+
+            return targetObj.charAt(index);
+        }
+
+        return targetObj[index];
+    }
+
     /* Main function execution area */
-    return checkTargetObj() && checkIndex() ? targetObj[index] : undefined;
+    return checkTargetObj() && checkIndex() ? getEntry() : undefined;
 }
 
-/* If the Array class's at() method is not supported by the current Internet 
- browser, override the property in its prototype with a call to the polyfill 
- function defined above. Note that the native implementation should always be 
- prioritized over the polyfilled one, since it may perform more quickly or may 
- be more standard-compliant in the future. */
-if (!Array.prototype.at) {
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
 
-    Array.prototype.at = function(index) {
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array at() polyfill.");
+}
 
-        return arrayAtPolyfill(this, arguments.length, index);
+/**
+ * Installs an at() method calling the arrayAtPolyfill() function in the 
+ * prototype of each supported list class whose name is given, if the class's 
+ * at() method is not supported by the current Internet browser. Classes which 
+ * are not supported by the Internet browser at all are skipped. 
+ * 
+ * @param { Array<string> } classNames - Required. The names of the global 
+ * list classes, e.g. "Array" or "NodeList", to have the at() method installed 
+ * in their prototypes. 
+ */
+function installArrayAtPolyfill(classNames) {
+
+    var nameIndex, listClass;
+
+    for (nameIndex = 0; nameIndex < classNames.length; nameIndex++) {
+
+        listClass = window[ classNames[nameIndex] ];
+
+        if (listClass && listClass.prototype) {
+
+            installPolyfill(listClass.prototype, "at", function(index) {
+
+                return arrayAtPolyfill(this, arguments.length, index);
+            });
+        }
     }
 }
+
+/* If the at() method is not supported by the current Internet browser for the 
+ Array class, any TypedArray class, or the NodeList and HTMLCollection DOM list 
+ interfaces, install a non-enumerable at() method in their prototypes which 
+ calls the polyfill function defined above. Lists returned by functions such 
+ as elementsByClass() can then use relative indexing, e.g. ".at(-1)", on any 
+ Internet browser. Note that the native implementation should always be 
+ prioritized over the polyfilled one, since it may perform more quickly or may 
+ be more standard-compliant in the future. */
+installArrayAtPolyfill([
+    "Array", 
+    "Int8Array", "Uint8Array", "Uint8ClampedArray", "Int16Array", 
+    "Uint16Array", "Int32Array", "Uint32Array", "Float32Array", 
+    "Float64Array", "BigInt64Array", "BigUint64Array", 
+    "NodeList", "HTMLCollection"
+]);
@@ -0,0 +1,160 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's every() method for Internet browsers that do not support it. It is 
+ * the counterpart of the some() method: a single failing entry decides the 
+ * result instead of a single passing one. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array every() method: 
+ * "The every() method tests whether all elements in the array pass the test 
+ * implemented by the provided function. It returns a Boolean value." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's every() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/every
+ * 
+ * @param { Array | object | string } targetObj - Required parameter. An Array 
+ * or Array-like object whose entries will be tested. An object passed to this 
+ * parameter must have a consecutively indexed range of entries and a 
+ * "length" property indicating the number of entries in the range. A string 
+ * primitive is also accepted, in which case each UTF-16 code unit is tested 
+ * as a new string. A valid argument must not be undefined or null. 
+ * 
+ * @param { Function } callbackFn - Required parameter. From MDN: 
+ * "A function to execute for each element in the array. It should return a 
+ * truthy value to indicate the element passes the test, and a falsy value 
+ * otherwise." 
+ * The function is called with the current entry, its index, and the 
+ * "targetObj" argument. Empty slots of sparse Arrays are skipped. 
+ * 
+ * @param { any } thisArg - Optional parameter. From MDN: 
+ * "A value to use as this when executing callbackFn." 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the argument to the "targetObj" parameter is undefined or null; or 
+ * - the argument to the "callbackFn" parameter is not a function. 
+ * 
+ * @returns { boolean } - 
+ * Boolean false as soon as the "callbackFn" argument returns a falsy value 
+ * for an entry. Boolean true if it returns a truthy value for every entry. 
+ * Like the native method, true is also returned for a list without entries, 
+ * or if the "targetObj" argument is not a list with a "length" property. 
+ */
+function arrayEveryPolyfill(targetObj, callbackFn, thisArg) {
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null, 
+     * whether the "callbackFn" argument is a function, and whether the 
+     * "targetObj" argument has a "length" number data-type property. 
+     * 
+     * @throws - 
+     * A TypeError exception if either argument is invalid. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function checkParams() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        if (typeof callbackFn !== "function") {
+
+            throw new TypeError("Parameter \"callbackFn\" must be a " 
+                + "function.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Checks whether the "targetObj" argument has an entry at an index, 
+     * treating every index of a string primitive as occupied. 
+     * 
+     * @param { number } index - The index of the entry. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function hasEntry(index) {
+
+        return typeof targetObj === "string" ? index < targetObj.length 
+            : index in targetObj;
+    }
+
+    /**
+     * Retrieves the entry at an index of the "targetObj" argument, using the 
+     * String charAt() method for string primitives. 
+     * 
+     * @param { number } index - The index of the entry. 
+     * 
+     * @returns { any } - The entry at the index 
+     */
+    function getEntry(index) {
+
+        return typeof targetObj === "string" ? targetObj.charAt(index) 
+            : targetObj[index];
+    }
+
+    /**
+     * Tests the existing entries of the "targetObj" argument until one 
+     * fails. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function testEntries() {
+
+        var index, length = Math.floor(targetObj.length);
+
+        for (index = 0; index < length; index++) {
+
+            if (hasEntry(index) 
+                && !callbackFn.call(thisArg, getEntry(index), index, 
+                    targetObj)) {
+
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /* Main function execution area */
+    return !checkParams() || testEntries();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array every() polyfill.");
+}
+
+/* If the Array class's every() method is not supported by the current 
+ Internet browser, install a non-enumerable every() method in its prototype 
+ which calls the polyfill function defined above. */
+installPolyfill(Array.prototype, "every", function(callbackFn, thisArg) {
+
+    return arrayEveryPolyfill(this, callbackFn, thisArg);
+});
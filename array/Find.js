@@ -0,0 +1,185 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's findIndex() method for Internet browsers that do not support it. It 
+ * is also the search behind the find() polyfill further below, which returns 
+ * the entry at the found index instead of the index itself. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array findIndex() 
+ * method: 
+ * "The findIndex() method returns the index of the first element in an array 
+ * that satisfies the provided testing function. If no elements satisfy the 
+ * testing function, -1 is returned." 
+ * 
+ * Unlike methods such as forEach(), the findIndex() and find() methods also 
+ * call the testing function for empty slots in sparse Arrays, passing 
+ * undefined as their value. 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's findIndex() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/findIndex
+ * 
+ * @param { Array | object } targetObj - Required parameter. An Array or 
+ * Array-like object, such as a NodeList or an HTMLCollection, which will have 
+ * its entries searched in ascending index order. An object passed to this 
+ * parameter must have a consecutively indexed range of entries and a "length" 
+ * property indicating the number of entries in the range. A valid argument 
+ * must not be undefined or null. Usually, when the polyfill parent method is 
+ * called, this value will be the "this" property from the parent function. 
+ * 
+ * @param { Function } predicate - Required parameter. From MDN: 
+ * "A function to execute for each element in the array. It should return a 
+ * truthy value to indicate a matching element has been found, and a falsy 
+ * value otherwise." It is called with the entry, its index, and the 
+ * "targetObj" argument. 
+ * 
+ * @param { any } thisArg - Optional parameter. From MDN: 
+ * "A value to use as this when executing callbackFn." 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the argument to the "targetObj" parameter is undefined or null; or 
+ * - the argument to the "predicate" parameter is not a function. 
+ * 
+ * @returns { number } - 
+ * The index of the first entry for which the "predicate" function returns a 
+ * truthy value, or -1 if there is no such entry or the "targetObj" argument 
+ * is not a list with a "length" property. 
+ */
+function arrayFindIndexPolyfill(targetObj, predicate, thisArg) {
+
+    /**
+     * Checks whether the arguments passed to the parent function are valid. 
+     * The "targetObj" argument must not be undefined or null, and the 
+     * "predicate" argument must be callable. 
+     * 
+     * @throws - 
+     * A TypeError exception if either argument is invalid. 
+     * 
+     * @returns { boolean } - 
+     * Boolean true or false depending on whether the "targetObj" argument has 
+     * a "length" number data-type property, meaning that it is a list which 
+     * can be searched. 
+     */
+    function checkParams() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        if (typeof predicate !== "function") {
+
+            throw new TypeError("Parameter \"predicate\" must be a " 
+                + "function.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Calls the "predicate" function for each entry of the "targetObj" 
+     * argument, from the first entry to the last, until it returns a truthy 
+     * value. The length of the list is read once before the search starts, so 
+     * entries appended by the "predicate" function are not visited. 
+     * 
+     * @returns { number } - 
+     * The index of the first matching entry, or -1 if none match. 
+     */
+    function search() {
+
+        var index, length = Math.floor(targetObj.length);
+
+        for (index = 0; index < length; index++) {
+
+            if (predicate.call(thisArg, targetObj[index], index, targetObj)) {
+
+                return index;
+            }
+        }
+
+        return -1;
+    }
+
+    /* Main function execution area */
+    return checkParams() ? search() : -1;
+}
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's find() method for Internet browsers that do not support it. 
+ * 
+ * From the primary description of the MDN page on the Array find() method: 
+ * "The find() method returns the first element in the provided array that 
+ * satisfies the provided testing function. If no values satisfy the testing 
+ * function, undefined is returned." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's find() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/find
+ * 
+ * @param { Array | object } targetObj - Required parameter. An Array or 
+ * Array-like object which will have its entries searched. Accepts the same 
+ * values as the "targetObj" parameter of the arrayFindIndexPolyfill() 
+ * function. 
+ * 
+ * @param { Function } predicate - Required parameter. The testing function 
+ * called with each entry, its index, and the "targetObj" argument. 
+ * 
+ * @param { any } thisArg - Optional parameter. The value used as "this" when 
+ * calling the "predicate" function. 
+ * 
+ * @throws - 
+ * A TypeError exception if the argument to the "targetObj" parameter is 
+ * undefined or null, or if the argument to the "predicate" parameter is not a 
+ * function. 
+ * 
+ * @returns { any | undefined } - 
+ * The first entry for which the "predicate" function returns a truthy value, 
+ * or undefined if there is no such entry. 
+ */
+function arrayFindPolyfill(targetObj, predicate, thisArg) {
+
+    var index = arrayFindIndexPolyfill(targetObj, predicate, thisArg);
+    return index === -1 ? undefined : targetObj[index];
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array find() and findIndex() polyfills.");
+}
+
+/* If the Array class's find() or findIndex() methods are not supported by the 
+ current Internet browser, install non-enumerable methods in its prototype 
+ which call the polyfill functions defined above. */
+installPolyfill(Array.prototype, "find", function(predicate, thisArg) {
+
+    return arrayFindPolyfill(this, predicate, thisArg);
+});
+
+installPolyfill(Array.prototype, "findIndex", function(predicate, thisArg) {
+
+    return arrayFindIndexPolyfill(this, predicate, thisArg);
+});
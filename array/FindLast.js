@@ -0,0 +1,179 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's findLastIndex() method for Internet browsers that do not support 
+ * it. The findLast() polyfill further below relies on it as well. 
+ * 
+ * The findLastIndex() and findLast() methods are the mirror images of the 
+ * findIndex() and find() methods: they search a list from its last entry 
+ * towards its first. They are a relatively new specification at the time this 
+ * function was authored, so their implementation may need future updates if 
+ * the official specification changes. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array findLastIndex() 
+ * method: 
+ * "The findLastIndex() method iterates the array in reverse order and returns 
+ * the index of the first element that satisfies the provided testing 
+ * function. If no elements satisfy the testing function, -1 is returned." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's findLastIndex() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/findLastIndex
+ * 
+ * @param { Array | object } targetObj - Required parameter. An Array or 
+ * Array-like object which will have its entries searched in descending index 
+ * order. An object passed to this parameter must have a consecutively indexed 
+ * range of entries and a "length" property indicating the number of entries 
+ * in the range, like an Array, a NodeList, or an HTMLCollection. A valid 
+ * argument must not be undefined or null. 
+ * 
+ * @param { Function } predicate - Required parameter. The testing function, 
+ * which is called with each entry, its index, and the "targetObj" argument. 
+ * It should return a truthy value for a matching entry. 
+ * 
+ * @param { any } thisArg - Optional parameter. The value used as "this" when 
+ * calling the "predicate" function. 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the argument to the "targetObj" parameter is undefined or null; or 
+ * - the argument to the "predicate" parameter is not a function. 
+ * 
+ * @returns { number } - 
+ * The index of the last entry for which the "predicate" function returns a 
+ * truthy value, or -1 if there is no such entry or the "targetObj" argument 
+ * is not a list with a "length" property. 
+ */
+function arrayFindLastIndexPolyfill(targetObj, predicate, thisArg) {
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null 
+     * and whether the "predicate" argument is a function. 
+     * 
+     * @throws - 
+     * A TypeError exception if either argument is invalid. 
+     * 
+     * @returns { boolean } - 
+     * Boolean true if the "targetObj" argument has a "length" number 
+     * data-type property, or Boolean false if it does not and thus has no 
+     * entries to search. 
+     */
+    function checkParams() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        if (typeof predicate !== "function") {
+
+            throw new TypeError("Parameter \"predicate\" must be a " 
+                + "function.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Calls the "predicate" function for each entry of the "targetObj" 
+     * argument, from the last entry to the first, until it returns a truthy 
+     * value. 
+     * 
+     * @returns { number } - 
+     * The index of the last matching entry, or -1 if none match. 
+     */
+    function searchBackwards() {
+
+        var index;
+
+        for (index = Math.floor(targetObj.length) - 1; index >= 0; index--) {
+
+            if (predicate.call(thisArg, targetObj[index], index, targetObj)) {
+
+                return index;
+            }
+        }
+
+        return -1;
+    }
+
+    /* Main function execution area */
+    return checkParams() ? searchBackwards() : -1;
+}
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's findLast() method for Internet browsers that do not support it. 
+ * 
+ * From the primary description of the MDN page on the Array findLast() 
+ * method: 
+ * "The findLast() method iterates the array in reverse order and returns the 
+ * value of the first element that satisfies the provided testing function. If 
+ * no elements satisfy the testing function, undefined is returned." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's findLast() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/findLast
+ * 
+ * @param { Array | object } targetObj - Required parameter. The Array or 
+ * Array-like object to be searched from its last entry to its first. 
+ * 
+ * @param { Function } predicate - Required parameter. The testing function. 
+ * 
+ * @param { any } thisArg - Optional parameter. The value used as "this" when 
+ * calling the "predicate" function. 
+ * 
+ * @throws - 
+ * A TypeError exception under the same conditions as the 
+ * arrayFindLastIndexPolyfill() function. 
+ * 
+ * @returns { any | undefined } - 
+ * The last entry for which the "predicate" function returns a truthy value, 
+ * or undefined if there is no such entry. 
+ */
+function arrayFindLastPolyfill(targetObj, predicate, thisArg) {
+
+    var index = arrayFindLastIndexPolyfill(targetObj, predicate, thisArg);
+    return index === -1 ? undefined : targetObj[index];
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array findLast() and findLastIndex() " 
+        + "polyfills.");
+}
+
+/* Install the polyfill functions defined above as non-enumerable methods of 
+ the Array class's prototype, unless they are natively supported. */
+installPolyfill(Array.prototype, "findLast", function(predicate, thisArg) {
+
+    return arrayFindLastPolyfill(this, predicate, thisArg);
+});
+
+installPolyfill(Array.prototype, "findLastIndex", function(predicate, 
+    thisArg) {
+
+    return arrayFindLastIndexPolyfill(this, predicate, thisArg);
+});
@@ -0,0 +1,158 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's forEach() method for Internet browsers that do not support it, such 
+ * as Internet Explorer 8 and earlier versions. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array forEach() method: 
+ * "The forEach() method executes a provided function once for each array 
+ * element." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's forEach() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/forEach
+ * 
+ * @param { Array | object | string } targetObj - Required parameter. An Array 
+ * or Array-like object whose entries will be passed to the callback function. 
+ * An object passed to this parameter must have a consecutively indexed range 
+ * of entries and a "length" property indicating the number of entries in the 
+ * range. A string primitive is also accepted, in which case each UTF-16 code 
+ * unit is passed as a new string. A valid argument must not be undefined or 
+ * null. Usually, when the forEach() polyfill parent method is called, this 
+ * value will be the "this" property from the parent function. 
+ * 
+ * @param { Function } callbackFn - Required parameter. From MDN: 
+ * "A function to execute for each element in the array. Its return value is 
+ * discarded." 
+ * The function is called with the current entry, its index, and the 
+ * "targetObj" argument. Empty slots of sparse Arrays are skipped. 
+ * 
+ * @param { any } thisArg - Optional parameter. From MDN: 
+ * "A value to use as this when executing callbackFn." 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the argument to the "targetObj" parameter is undefined or null; or 
+ * - the argument to the "callbackFn" parameter is not a function. 
+ * 
+ * @returns { undefined } - Nothing 
+ */
+function arrayForEachPolyfill(targetObj, callbackFn, thisArg) {
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null, 
+     * whether the "callbackFn" argument is a function, and whether the 
+     * "targetObj" argument has a "length" number data-type property. 
+     * 
+     * @throws - 
+     * A TypeError exception if either argument is invalid. 
+     * 
+     * @returns { boolean } - 
+     * Boolean true or false depending on whether the "targetObj" argument is 
+     * a list with entries that can be iterated over. 
+     */
+    function checkParams() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        if (typeof callbackFn !== "function") {
+
+            throw new TypeError("Parameter \"callbackFn\" must be a " 
+                + "function.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Checks whether the "targetObj" argument has an entry at an index. The 
+     * "in" operator cannot be used with string primitives, whose indices are 
+     * all occupied. 
+     * 
+     * @param { number } index - The index of the entry. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function hasEntry(index) {
+
+        return typeof targetObj === "string" ? index < targetObj.length 
+            : index in targetObj;
+    }
+
+    /**
+     * Retrieves the entry at an index of the "targetObj" argument. ES3 
+     * Internet browsers do not support accessing the characters of a string 
+     * primitive by index, so the String charAt() method is used instead. 
+     * 
+     * @param { number } index - The index of the entry. 
+     * 
+     * @returns { any } - The entry at the index 
+     */
+    function getEntry(index) {
+
+        return typeof targetObj === "string" ? targetObj.charAt(index) 
+            : targetObj[index];
+    }
+
+    /**
+     * Calls the "callbackFn" argument for each existing entry of the 
+     * "targetObj" argument. The length is read once beforehand, so entries 
+     * appended by the callback function are not visited. 
+     */
+    function iterate() {
+
+        var index, length = Math.floor(targetObj.length);
+
+        for (index = 0; index < length; index++) {
+
+            if (hasEntry(index)) {
+
+                callbackFn.call(thisArg, getEntry(index), index, targetObj);
+            }
+        }
+    }
+
+    /* Main function execution area */
+    if (checkParams()) {
+
+        iterate();
+    }
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array forEach() polyfill.");
+}
+
+/* If the Array class's forEach() method is not supported by the current 
+ Internet browser, install a non-enumerable forEach() method in its prototype 
+ which calls the polyfill function defined above. */
+installPolyfill(Array.prototype, "forEach", function(callbackFn, thisArg) {
+
+    arrayForEachPolyfill(this, callbackFn, thisArg);
+});
@@ -0,0 +1,240 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's static from() method for Internet browsers that do not support it. 
+ * 
+ * Several ScriptJelly functions may return live lists, such as the 
+ * HTMLCollection returned by the elementsByClass() function when its 
+ * "getLive" parameter is truthy. Passing such a list to this function creates 
+ * a static Array of its entries, which does not change when the DOM tree is 
+ * modified. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array from() method: 
+ * "The Array.from() static method creates a new, shallow-copied Array 
+ * instance from an iterable or array-like object." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's from() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/from
+ * 
+ * @param { object | string } items - Required parameter. An iterable or 
+ * Array-like object to be converted into an Array. 
+ * - If the current Internet browser supports the Symbol class, and the 
+ *   argument has a Symbol.iterator method, like a Set or a Map object, the 
+ *   entries are collected from the iterator returned by that method. 
+ * - Otherwise, the argument must have a consecutively indexed range of 
+ *   entries and a "length" property indicating the number of entries in the 
+ *   range, like an Array, a NodeList, an HTMLCollection or a function's 
+ *   "arguments" object. A string primitive is split into its characters. 
+ *   Any other argument results in an empty Array. 
+ * A valid argument must not be undefined or null. 
+ * 
+ * @param { Function } mapFn - Optional parameter. From MDN: 
+ * "A function to call on every element of the array. If provided, every value 
+ * to be added to the array is first passed through this function, and mapFn's 
+ * return value is added to the array instead." 
+ * The function is called with the current entry and its index. 
+ * 
+ * @param { any } thisArg - Optional parameter. From MDN: 
+ * "Value to use as this when executing mapFn." 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the argument to the "items" parameter is undefined or null; 
+ * - the argument to the "mapFn" parameter is neither undefined nor a 
+ *   function; or 
+ * - the Symbol.iterator property of the "items" argument is neither 
+ *   undefined, null nor a function, or the iterator it returns is not an 
+ *   object. 
+ * 
+ * @returns { Array } - 
+ * A new Array containing the entries of the "items" argument, or the values 
+ * returned by the "mapFn" argument for those entries. 
+ */
+function arrayFromPolyfill(items, mapFn, thisArg) {
+
+    /**
+     * Checks whether the "items" argument is neither undefined nor null, and 
+     * whether the "mapFn" argument is either undefined or a function. 
+     * 
+     * @throws - 
+     * A TypeError exception if either argument is invalid. 
+     */
+    function checkParams() {
+
+        if (typeof items === "undefined" || items === null) {
+
+            throw new TypeError("Parameter \"items\" must not be null or " 
+                + "undefined.");
+        }
+
+        if (typeof mapFn !== "undefined" && typeof mapFn !== "function") {
+
+            throw new TypeError("Parameter \"mapFn\" must either be " 
+                + "undefined or a function.");
+        }
+    }
+
+    /**
+     * Passes an entry through the "mapFn" argument, if one was specified. 
+     * 
+     * @param { any } entry - The current entry of the "items" argument. 
+     * @param { number } index - The index of the entry in the new Array. 
+     * 
+     * @returns { any } - The value to be added to the new Array 
+     */
+    function mapEntry(entry, index) {
+
+        return mapFn ? mapFn.call(thisArg, entry, index) : entry;
+    }
+
+    /**
+     * Gets the Symbol.iterator method of the "items" argument, if the current 
+     * Internet browser supports the Symbol class. 
+     * 
+     * @throws - 
+     * A TypeError exception if the Symbol.iterator property is neither 
+     * undefined, null nor a function. 
+     * 
+     * @returns { Function | null } - 
+     * The iterator method, or null if the "items" argument is not iterable. 
+     */
+    function getIteratorMethod() {
+
+        var method;
+
+        if (typeof Symbol !== "function" 
+            || typeof Symbol.iterator !== "symbol") {
+
+            return null;
+        }
+
+        method = items[Symbol.iterator];
+
+        if (typeof method === "undefined" || method === null) {
+
+            return null;
+        }
+
+        if (typeof method !== "function") {
+
+            throw new TypeError("The Symbol.iterator property of parameter " 
+                + "\"items\" must be a function.");
+        }
+
+        return method;
+    }
+
+    /**
+     * Collects the entries of the "items" argument from its iterator. If the 
+     * "mapFn" argument throws an exception, the iterator's return() method is 
+     * called, if it has one, before the exception is rethrown, so that 
+     * generators can run their clean-up code. 
+     * 
+     * @param { Function } method - The Symbol.iterator method of the "items" 
+     * argument. 
+     * 
+     * @throws - 
+     * A TypeError exception if the iterator is not an object. 
+     * 
+     * @returns { Array } - The new Array 
+     */
+    function fromIterable(method) {
+
+        var iterator = method.call(items), result, newList = [];
+
+        if (typeof iterator !== "object" || iterator === null) {
+
+            throw new TypeError("The Symbol.iterator method of parameter " 
+                + "\"items\" must return an object.");
+        }
+
+        for (result = iterator.next(); !result.done;
+            result = iterator.next()) {
+
+            try {
+
+                newList.push(mapEntry(result.value, newList.length));
+            }
+            catch (error) {
+
+                if (typeof iterator["return"] === "function") {
+
+                    iterator["return"]();
+                }
+
+                throw error;
+            }
+        }
+
+        return newList;
+    }
+
+    /**
+     * Copies the entries of the Array-like "items" argument. String 
+     * primitives are read with the charAt() method, since legacy Internet 
+     * browsers do not support accessing the characters of a string using 
+     * bracket notation. 
+     * 
+     * @returns { Array } - The new Array 
+     */
+    function fromArrayLike() {
+
+        var isString = typeof items === "string", length, index, newList = [];
+
+        if (!isString && typeof items.length !== "number") {
+
+            return newList;
+        }
+
+        length = items.length > 0 ? Math.floor(items.length) : 0;
+
+        for (index = 0; index < length; index++) {
+
+            newList[index] = mapEntry(isString ? items.charAt(index) 
+                : items[index], index);
+        }
+
+        return newList;
+    }
+
+    /* Main function execution area */
+    checkParams();
+
+    var method = getIteratorMethod();
+    return method ? fromIterable(method) : fromArrayLike();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array from() polyfill.");
+}
+
+/* If the Array class's static from() method is not supported by the current 
+ Internet browser, install a non-enumerable from() method on the Array class 
+ itself which calls the polyfill function defined above. */
+installPolyfill(Array, "from", function(items, mapFn, thisArg) {
+
+    return arrayFromPolyfill(items, mapFn, thisArg);
+}, "arrayFrom");
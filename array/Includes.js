@@ -0,0 +1,163 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's includes() method for Internet browsers that do not support it. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array includes() 
+ * method: 
+ * "The includes() method determines whether an array includes a certain value 
+ * among its entries, returning true or false as appropriate." 
+ * 
+ * Unlike the indexOf() method, which uses strict equality, the includes() 
+ * method compares entries using the "SameValueZero" algorithm. The only 
+ * difference from strict equality is that NaN is considered equal to NaN, so 
+ * "[NaN].includes(NaN)" returns true, while "[NaN].indexOf(NaN)" returns -1. 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's includes() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/includes
+ * 
+ * @param { Array | object } targetObj - Required parameter. An Array or 
+ * Array-like object, such as a NodeList or an HTMLCollection, which will be 
+ * searched for the value. An object passed to this parameter must have a 
+ * consecutively indexed range of entries and a "length" property indicating 
+ * the number of entries in the range. A valid argument must not be undefined 
+ * or null. 
+ * 
+ * @param { any } searchElement - Optional parameter. The value to search for. 
+ * If no argument is passed, undefined is searched for. 
+ * 
+ * @param { number } fromIndex - Optional parameter. From MDN: 
+ * "Zero-based index at which to start searching, converted to an integer." 
+ * Like the index of the at() method, a negative value counts back from the end 
+ * of the list. If the negative value reaches before the start of the list, 
+ * the whole list is searched. If it is not specified or is not a valid Number 
+ * (NaN), the whole list is searched. 
+ * 
+ * @throws - 
+ * A TypeError exception if the argument to the "targetObj" parameter is 
+ * undefined or null. 
+ * 
+ * @returns { boolean } - 
+ * Boolean true if an entry at or after the starting index is equal to the 
+ * "searchElement" argument according to the "SameValueZero" algorithm. 
+ * Boolean false otherwise, or if the "targetObj" argument is not a list with a 
+ * "length" property. 
+ */
+function arrayIncludesPolyfill(targetObj, searchElement, fromIndex) {
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null, 
+     * and whether it has a "length" number data-type property. 
+     * 
+     * @throws - 
+     * A TypeError exception if the "targetObj" argument is undefined or null. 
+     * 
+     * @returns { boolean } - 
+     * Boolean true or false depending on whether the "targetObj" argument is 
+     * a list which can be searched. 
+     */
+    function checkTargetObj() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Converts the "fromIndex" argument to the index of the first entry to be 
+     * searched. Any decimal portion is truncated, and negative values are 
+     * subtracted from the end of the list. 
+     * 
+     * @param { number } length - The number of entries in the list. 
+     * 
+     * @returns { number } - 
+     * A zero or positive integer index. It may be greater than or equal to the 
+     * "length" argument, in which case no entries are searched. 
+     */
+    function getStartIndex(length) {
+
+        var start = Number(fromIndex);
+
+        if (isNaN(start)) {
+
+            return 0;
+        }
+
+        if (start >= 0) {
+
+            return Math.floor(start);
+        }
+
+        start = length + Math.ceil(start);
+        return start >= 0 ? start : 0;
+    }
+
+    /**
+     * Searches the entries of the "targetObj" argument, starting at the 
+     * index from the "fromIndex" argument, for one equal to the 
+     * "searchElement" argument. An entry that is not equal to itself is NaN, 
+     * which matches a NaN "searchElement" argument. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function search() {
+
+        var length = Math.floor(targetObj.length);
+        var index, entry, findNaN = searchElement !== searchElement;
+
+        for (index = getStartIndex(length); index < length; index++) {
+
+            entry = targetObj[index];
+
+            if (entry === searchElement || (findNaN && entry !== entry)) {
+
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /* Main function execution area */
+    return checkTargetObj() && search();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array includes() polyfill.");
+}
+
+/* If the Array class's includes() method is not supported by the current 
+ Internet browser, install a non-enumerable includes() method in its prototype 
+ which calls the polyfill function defined above. */
+installPolyfill(Array.prototype, "includes", function(searchElement, 
+    fromIndex) {
+
+    return arrayIncludesPolyfill(this, searchElement, fromIndex);
+});
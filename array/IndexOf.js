@@ -0,0 +1,164 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's indexOf() method for Internet browsers that do not support it, such 
+ * as Internet Explorer 8 and earlier versions. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array indexOf() method: 
+ * "The indexOf() method returns the first index at which a given element can 
+ * be found in the array, or -1 if it is not present." 
+ * 
+ * Entries are compared using strict equality ("==="), so, unlike with the 
+ * includes() polyfill function in array/Includes.js, NaN is never found. 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's indexOf() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/indexOf
+ * 
+ * @param { Array | object | string } targetObj - Required parameter. An Array 
+ * or Array-like object, such as a NodeList or an HTMLCollection, which will be 
+ * searched. An object passed to this parameter must have a consecutively 
+ * indexed range of entries and a "length" property indicating the number of 
+ * entries in the range. A string primitive is also accepted, in which case 
+ * its UTF-16 code units are searched as single-character strings. A valid 
+ * argument must not be undefined or null. 
+ * 
+ * @param { any } searchElement - Optional parameter. The value to search for. 
+ * If no argument is passed, undefined is searched for, which never matches an 
+ * empty slot of a sparse Array. 
+ * 
+ * @param { number } fromIndex - Optional parameter. The index at which to 
+ * start searching. Any decimal portion is truncated, and a negative value 
+ * counts back from the end of the list, the same way as the index of the at() 
+ * method. If the negative value reaches before the start of the list, or if 
+ * it is not specified or is not a valid Number (NaN), the whole list is 
+ * searched. 
+ * 
+ * @throws - 
+ * A TypeError exception if the argument to the "targetObj" parameter is 
+ * undefined or null. 
+ * 
+ * @returns { number } - 
+ * The index of the first existing entry at or after the starting index which 
+ * is strictly equal to the "searchElement" argument, or -1 if there is none. 
+ */
+function arrayIndexOfPolyfill(targetObj, searchElement, fromIndex) {
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null, 
+     * and whether it has a "length" number data-type property. 
+     * 
+     * @throws - 
+     * A TypeError exception if the "targetObj" argument is undefined or null. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function checkTargetObj() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Converts the "fromIndex" argument to the index of the first entry to be 
+     * searched. 
+     * 
+     * @param { number } length - The number of entries in the list. 
+     * 
+     * @returns { number } - 
+     * A zero or positive integer index. It may be greater than or equal to the 
+     * "length" argument, in which case no entries are searched. 
+     */
+    function getStartIndex(length) {
+
+        var start = Number(fromIndex);
+
+        if (isNaN(start)) {
+
+            return 0;
+        }
+
+        if (start >= 0) {
+
+            return Math.floor(start);
+        }
+
+        start = length + Math.ceil(start);
+        return start >= 0 ? start : 0;
+    }
+
+    /**
+     * Searches the existing entries of the "targetObj" argument from the 
+     * starting index onwards. String primitives are searched with the 
+     * charAt() method, since the "in" operator and bracket notation cannot be 
+     * used with them on ES3 Internet browsers. 
+     * 
+     * @returns { number } - The index of the match, or -1 
+     */
+    function search() {
+
+        var length = Math.floor(targetObj.length), index;
+        var isString = typeof targetObj === "string";
+
+        for (index = getStartIndex(length); index < length; index++) {
+
+            if (isString) {
+
+                if (targetObj.charAt(index) === searchElement) {
+
+                    return index;
+                }
+            }
+            else if (index in targetObj 
+                && targetObj[index] === searchElement) {
+
+                return index;
+            }
+        }
+
+        return -1;
+    }
+
+    /* Main function execution area */
+    return checkTargetObj() ? search() : -1;
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array indexOf() polyfill.");
+}
+
+/* If the Array class's indexOf() method is not supported by the current 
+ Internet browser, install a non-enumerable indexOf() method in its prototype 
+ which calls the polyfill function defined above. */
+installPolyfill(Array.prototype, "indexOf", function(searchElement, 
+    fromIndex) {
+
+    return arrayIndexOfPolyfill(this, searchElement, fromIndex);
+});
@@ -0,0 +1,64 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's static isArray() method for Internet browsers that do not support 
+ * it. 
+ * 
+ * The "instanceof Array" check used elsewhere in ScriptJelly fails for Arrays 
+ * created in another frame or window, since each one has its own Array 
+ * class. This function instead checks the internal class of the value 
+ * through the Object class's toString() method, which reports 
+ * "[object Array]" for Arrays from any frame. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array isArray() method: 
+ * "The Array.isArray() static method determines whether the passed value is 
+ * an Array." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's isArray() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/isArray
+ * 
+ * @param { any } value - Optional parameter. The value to be checked. 
+ * 
+ * @returns { boolean } - 
+ * Boolean true if the "value" argument is an Array. Boolean false otherwise, 
+ * including for Array-like objects such as NodeLists and "arguments" objects. 
+ */
+function arrayIsArrayPolyfill(value) {
+
+    return Object.prototype.toString.call(value) === "[object Array]";
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array isArray() polyfill.");
+}
+
+/* If the Array class's static isArray() method is not supported by the 
+ current Internet browser, install a non-enumerable isArray() method on the 
+ Array class itself which calls the polyfill function defined above. */
+installPolyfill(Array, "isArray", function(value) {
+
+    return arrayIsArrayPolyfill(value);
+});
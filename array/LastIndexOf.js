@@ -0,0 +1,173 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's lastIndexOf() method for Internet browsers that do not support it. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array lastIndexOf() 
+ * method: 
+ * "The lastIndexOf() method returns the last index at which a given element 
+ * can be found in the array, or -1 if it is not present. The array is 
+ * searched backwards, starting at fromIndex." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's lastIndexOf() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/lastIndexOf
+ * 
+ * @param { Array | object | string } targetObj - Required parameter. An Array 
+ * or Array-like object which will be searched backwards. An object passed to 
+ * this parameter must have a consecutively indexed range of entries and a 
+ * "length" property indicating the number of entries in the range. A string 
+ * primitive is also accepted, in which case its UTF-16 code units are 
+ * searched as single-character strings. A valid argument must not be 
+ * undefined or null. 
+ * 
+ * @param { number } parentArgLen - Required parameter. Contains the integer 
+ * number of arguments passed to the parent polyfill calling method. This is 
+ * used for telling whether an argument was passed to the optional 
+ * "fromIndex" parameter of this function, since an explicit undefined 
+ * argument is treated as index 0 rather than as the last index. 
+ * 
+ * @param { any } searchElement - Optional parameter. The value to search for 
+ * using strict equality ("==="). 
+ * 
+ * @param { number } fromIndex - Optional parameter. The index at which to 
+ * start searching backwards. Any decimal portion is truncated, and a negative 
+ * value counts back from the end of the list. A value which is not a valid 
+ * Number (NaN) is treated as 0. If no argument is passed, the search starts 
+ * at the last entry. 
+ * 
+ * @throws - 
+ * A TypeError exception if the argument to the "targetObj" parameter is 
+ * undefined or null. 
+ * 
+ * @returns { number } - 
+ * The index of the last existing entry at or before the starting index which 
+ * is strictly equal to the "searchElement" argument, or -1 if there is none. 
+ */
+function arrayLastIndexOfPolyfill(targetObj, parentArgLen, searchElement, 
+    fromIndex) {
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null, 
+     * and whether it has a "length" number data-type property. 
+     * 
+     * @throws - 
+     * A TypeError exception if the "targetObj" argument is undefined or null. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function checkTargetObj() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Converts the "fromIndex" argument to the index of the first entry to be 
+     * searched backwards. 
+     * 
+     * @param { number } length - The number of entries in the list. 
+     * 
+     * @returns { number } - 
+     * An integer index no greater than the last index of the list. It may be 
+     * negative, in which case no entries are searched. 
+     */
+    function getStartIndex(length) {
+
+        var start;
+
+        if (parentArgLen < 2) {
+
+            return length - 1;
+        }
+
+        start = Number(fromIndex);
+
+        if (isNaN(start)) {
+
+            return 0;
+        }
+
+        if (start >= 0) {
+
+            return Math.min(Math.floor(start), length - 1);
+        }
+
+        return length + Math.ceil(start);
+    }
+
+    /**
+     * Searches the existing entries of the "targetObj" argument from the 
+     * starting index backwards, using the charAt() method for string 
+     * primitives. 
+     * 
+     * @returns { number } - The index of the match, or -1 
+     */
+    function search() {
+
+        var length = Math.floor(targetObj.length), index;
+        var isString = typeof targetObj === "string";
+
+        for (index = getStartIndex(length); index >= 0; index--) {
+
+            if (isString) {
+
+                if (targetObj.charAt(index) === searchElement) {
+
+                    return index;
+                }
+            }
+            else if (index in targetObj 
+                && targetObj[index] === searchElement) {
+
+                return index;
+            }
+        }
+
+        return -1;
+    }
+
+    /* Main function execution area */
+    return checkTargetObj() ? search() : -1;
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array lastIndexOf() polyfill.");
+}
+
+/* If the Array class's lastIndexOf() method is not supported by the current 
+ Internet browser, install a non-enumerable lastIndexOf() method in its 
+ prototype which calls the polyfill function defined above. */
+installPolyfill(Array.prototype, "lastIndexOf", function(searchElement, 
+    fromIndex) {
+
+    return arrayLastIndexOfPolyfill(this, arguments.length, searchElement, 
+        fromIndex);
+});
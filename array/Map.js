@@ -0,0 +1,161 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's map() method for Internet browsers that do not support it. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array map() method: 
+ * "The map() method creates a new array populated with the results of calling 
+ * a provided function on every element in the calling array." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's map() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/map
+ * 
+ * @param { Array | object | string } targetObj - Required parameter. An Array 
+ * or Array-like object, such as a NodeList or an HTMLCollection, whose entries 
+ * will be mapped. An object passed to this parameter must have a 
+ * consecutively indexed range of entries and a "length" property indicating 
+ * the number of entries in the range. A string primitive is also accepted, in 
+ * which case each UTF-16 code unit is mapped as a new string. A valid 
+ * argument must not be undefined or null. 
+ * 
+ * @param { Function } callbackFn - Required parameter. From MDN: 
+ * "A function to execute for each element in the array. Its return value is 
+ * added as a single element in the new array." 
+ * The function is called with the current entry, its index, and the 
+ * "targetObj" argument. 
+ * 
+ * @param { any } thisArg - Optional parameter. From MDN: 
+ * "A value to use as this when executing callbackFn." 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the argument to the "targetObj" parameter is undefined or null; or 
+ * - the argument to the "callbackFn" parameter is not a function. 
+ * 
+ * @returns { Array } - 
+ * A new Array with the same length as the "targetObj" argument, containing 
+ * the values returned by the "callbackFn" argument. Empty slots of a sparse 
+ * "targetObj" argument stay empty in the new Array. An empty Array is 
+ * returned if the "targetObj" argument is not a list with a "length" 
+ * property. 
+ */
+function arrayMapPolyfill(targetObj, callbackFn, thisArg) {
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null, 
+     * whether the "callbackFn" argument is a function, and whether the 
+     * "targetObj" argument has a "length" number data-type property. 
+     * 
+     * @throws - 
+     * A TypeError exception if either argument is invalid. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function checkParams() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        if (typeof callbackFn !== "function") {
+
+            throw new TypeError("Parameter \"callbackFn\" must be a " 
+                + "function.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Checks whether the "targetObj" argument has an entry at an index, 
+     * treating every index of a string primitive as occupied. 
+     * 
+     * @param { number } index - The index of the entry. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function hasEntry(index) {
+
+        return typeof targetObj === "string" ? index < targetObj.length 
+            : index in targetObj;
+    }
+
+    /**
+     * Retrieves the entry at an index of the "targetObj" argument, using the 
+     * String charAt() method for string primitives. 
+     * 
+     * @param { number } index - The index of the entry. 
+     * 
+     * @returns { any } - The entry at the index 
+     */
+    function getEntry(index) {
+
+        return typeof targetObj === "string" ? targetObj.charAt(index) 
+            : targetObj[index];
+    }
+
+    /**
+     * Creates the new Array and fills the indices of the existing entries of 
+     * the "targetObj" argument with the values returned by the "callbackFn" 
+     * argument. 
+     * 
+     * @returns { Array } - The new, mapped Array 
+     */
+    function mapEntries() {
+
+        var index, length = Math.floor(targetObj.length), newList = [];
+
+        newList.length = length;
+
+        for (index = 0; index < length; index++) {
+
+            if (hasEntry(index)) {
+
+                newList[index] = callbackFn.call(thisArg, getEntry(index), 
+                    index, targetObj);
+            }
+        }
+
+        return newList;
+    }
+
+    /* Main function execution area */
+    return checkParams() ? mapEntries() : [];
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array map() polyfill.");
+}
+
+/* If the Array class's map() method is not supported by the current Internet 
+ browser, install a non-enumerable map() method in its prototype which calls 
+ the polyfill function defined above. */
+installPolyfill(Array.prototype, "map", function(callbackFn, thisArg) {
+
+    return arrayMapPolyfill(this, callbackFn, thisArg);
+});
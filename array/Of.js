@@ -0,0 +1,102 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's static of() method for Internet browsers that do not support it. 
+ * 
+ * Unlike the Array constructor, the of() method does not treat a single 
+ * number argument as the length of the new Array, so "Array.of(3)" returns 
+ * "[3]" instead of an Array with 3 empty slots. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array of() method: 
+ * "The Array.of() static method creates a new Array instance from a variable 
+ * number of arguments, regardless of number or type of the arguments." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's of() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/of
+ * 
+ * @param { Arguments | Array } entries - Required parameter. The list of 
+ * values to become the entries of the new Array. Usually, when the of() 
+ * polyfill parent method is called, this is its "arguments" object. A valid 
+ * argument must not be undefined or null. 
+ * 
+ * @throws - 
+ * A TypeError exception if the argument to the "entries" parameter is 
+ * undefined or null. 
+ * 
+ * @returns { Array } - 
+ * A new Array containing the values of the "entries" argument in the same 
+ * order. 
+ */
+function arrayOfPolyfill(entries) {
+
+    /**
+     * Checks whether the "entries" argument is neither undefined nor null. 
+     * 
+     * @throws - 
+     * A TypeError exception if the "entries" argument is undefined or null. 
+     */
+    function checkEntries() {
+
+        if (typeof entries === "undefined" || entries === null) {
+
+            throw new TypeError("Parameter \"entries\" must not be null or " 
+                + "undefined.");
+        }
+    }
+
+    /**
+     * Copies the values of the "entries" argument into a new Array. 
+     * 
+     * @returns { Array } - The new Array 
+     */
+    function copyEntries() {
+
+        var index, newList = [];
+
+        for (index = 0; index < entries.length; index++) {
+
+            newList[index] = entries[index];
+        }
+
+        return newList;
+    }
+
+    /* Main function execution area */
+    checkEntries();
+    return copyEntries();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array of() polyfill.");
+}
+
+/* If the Array class's static of() method is not supported by the current 
+ Internet browser, install a non-enumerable of() method on the Array class 
+ itself which passes its arguments to the polyfill function defined above. */
+installPolyfill(Array, "of", function() {
+
+    return arrayOfPolyfill(arguments);
+}, "arrayOf");
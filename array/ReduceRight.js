@@ -0,0 +1,192 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's reduceRight() method for Internet browsers that do not support it. 
+ * It works the same way as the reduce() polyfill function in 
+ * array/Reduce.js, except that the entries are visited from last to first. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array reduceRight() 
+ * method: 
+ * "The reduceRight() method applies a function against an accumulator and 
+ * each value of the array (from right-to-left) to reduce it to a single 
+ * value." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's reduceRight() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/reduceRight
+ * 
+ * @param { Array | object | string } targetObj - Required parameter. An Array 
+ * or Array-like object whose entries will be reduced to a single value. An 
+ * object passed to this parameter must have a consecutively indexed range of 
+ * entries and a "length" property indicating the number of entries in the 
+ * range. A string primitive is also accepted, in which case each UTF-16 code 
+ * unit is passed as a new string. A valid argument must not be undefined or 
+ * null. 
+ * 
+ * @param { number } parentArgLen - Required parameter. Contains the integer 
+ * number of arguments passed to the parent polyfill calling method. This is 
+ * used for telling whether an argument was passed to the optional 
+ * "initialValue" parameter of this function. 
+ * 
+ * @param { Function } callbackFn - Required parameter. Called with the 
+ * accumulator, the current entry, its index, and the "targetObj" argument. 
+ * Its return value becomes the accumulator of the next call. Empty slots of 
+ * sparse Arrays are skipped. 
+ * 
+ * @param { any } initialValue - Optional parameter. The value of the 
+ * accumulator for the first call of the callback function. If no argument is 
+ * passed, the last existing entry is used instead, and the callback function 
+ * is first called with the entry before it. 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the argument to the "targetObj" parameter is undefined or null; 
+ * - the argument to the "callbackFn" parameter is not a function; or 
+ * - no initial value was passed and the "targetObj" argument has no entries. 
+ * 
+ * @returns { any } - 
+ * The value returned by the last call of the "callbackFn" argument. If it is 
+ * never called, the initial value or the only existing entry is returned. 
+ */
+function arrayReduceRightPolyfill(targetObj, parentArgLen, callbackFn, 
+    initialValue) {
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null, 
+     * and whether the "callbackFn" argument is a function. 
+     * 
+     * @throws - 
+     * A TypeError exception if either argument is invalid. 
+     * 
+     * @returns { boolean } - 
+     * Boolean true or false depending on whether the "targetObj" argument has 
+     * a "length" number data-type property. 
+     */
+    function checkParams() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        if (typeof callbackFn !== "function") {
+
+            throw new TypeError("Parameter \"callbackFn\" must be a " 
+                + "function.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Checks whether the "targetObj" argument has an entry at an index, 
+     * treating every index of a string primitive as occupied. 
+     * 
+     * @param { number } index - The index of the entry. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function hasEntry(index) {
+
+        return typeof targetObj === "string" ? index < targetObj.length 
+            : index in targetObj;
+    }
+
+    /**
+     * Retrieves the entry at an index of the "targetObj" argument, using the 
+     * String charAt() method for string primitives. 
+     * 
+     * @param { number } index - The index of the entry. 
+     * 
+     * @returns { any } - The entry at the index 
+     */
+    function getEntry(index) {
+
+        return typeof targetObj === "string" ? targetObj.charAt(index) 
+            : targetObj[index];
+    }
+
+    /**
+     * Passes the accumulated value and each existing entry of the "targetObj" 
+     * argument to the "callbackFn" argument, from the last entry to the 
+     * first. 
+     * 
+     * @throws - 
+     * A TypeError exception if there is neither an initial value nor an 
+     * existing entry to start from. 
+     * 
+     * @returns { any } - The accumulated value 
+     */
+    function reduceEntries() {
+
+        var length = checkParams() ? Math.floor(targetObj.length) : 0;
+        var index = length - 1, accumulator = initialValue;
+
+        if (parentArgLen < 2) {
+
+            while (index >= 0 && !hasEntry(index)) {
+
+                index--;
+            }
+
+            if (index < 0) {
+
+                throw new TypeError("Reduce of a list with no entries " 
+                    + "requires an initial value.");
+            }
+
+            accumulator = getEntry(index--);
+        }
+
+        for (; index >= 0; index--) {
+
+            if (hasEntry(index)) {
+
+                accumulator = callbackFn.call(undefined, accumulator, 
+                    getEntry(index), index, targetObj);
+            }
+        }
+
+        return accumulator;
+    }
+
+    /* Main function execution area */
+    return reduceEntries();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array reduceRight() polyfill.");
+}
+
+/* If the Array class's reduceRight() method is not supported by the current 
+ Internet browser, install a non-enumerable reduceRight() method in its 
+ prototype which calls the polyfill function defined above. */
+installPolyfill(Array.prototype, "reduceRight", function(callbackFn, 
+    initialValue) {
+
+    return arrayReduceRightPolyfill(this, arguments.length, callbackFn, 
+        initialValue);
+});
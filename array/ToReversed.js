@@ -0,0 +1,111 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's toReversed() method for Internet browsers that do not support it. 
+ * Like the other "change array by copy" polyfills, it returns a new Array and 
+ * never changes the list it is called on. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array toReversed() 
+ * method: 
+ * "The toReversed() method of Array instances is the copying counterpart of 
+ * the reverse() method. It returns a new array with the elements in reversed 
+ * order." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's toReversed() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/toReversed
+ * 
+ * @param { Array | object } targetObj - Required parameter. An Array or 
+ * Array-like object, such as a NodeList or an HTMLCollection, which will have 
+ * its entries copied into a new Array in reverse order. An object passed to 
+ * this parameter must have a consecutively indexed range of entries and a 
+ * "length" property indicating the number of entries in the range. Empty 
+ * slots are copied as undefined. A valid argument must not be undefined or 
+ * null. 
+ * 
+ * @throws - 
+ * A TypeError exception if the argument to the "targetObj" parameter is 
+ * undefined or null. 
+ * 
+ * @returns { Array } - 
+ * A new Array with the entries of the "targetObj" argument from last to 
+ * first. An empty Array is returned if the "targetObj" argument is not a list 
+ * with a "length" property. 
+ */
+function arrayToReversedPolyfill(targetObj) {
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null, 
+     * and whether it has a "length" number data-type property. 
+     * 
+     * @throws - 
+     * A TypeError exception if the "targetObj" argument is undefined or null. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function checkTargetObj() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Copies the entries of the "targetObj" argument into a new Array, 
+     * starting from its last entry. 
+     * 
+     * @returns { Array } - The new, reversed Array 
+     */
+    function reverseCopy() {
+
+        var length = Math.floor(targetObj.length), copy = [], index;
+
+        for (index = 0; index < length; index++) {
+
+            copy[index] = targetObj[length - index - 1];
+        }
+
+        return copy;
+    }
+
+    /* Main function execution area */
+    return checkTargetObj() ? reverseCopy() : [];
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array toReversed() polyfill.");
+}
+
+/* If the Array class's toReversed() method is not supported by the current 
+ Internet browser, install a non-enumerable toReversed() method in its 
+ prototype which calls the polyfill function defined above. */
+installPolyfill(Array.prototype, "toReversed", function() {
+
+    return arrayToReversedPolyfill(this);
+});
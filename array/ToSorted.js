@@ -0,0 +1,137 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's toSorted() method for Internet browsers that do not support it. 
+ * 
+ * The toSorted() method is one of the "change array by copy" methods, along 
+ * with toReversed(), toSpliced(), and with(). Each one returns a new Array 
+ * with the change applied and leaves the original list untouched, unlike the 
+ * sort(), reverse(), and splice() methods and index assignments, which mutate 
+ * the Array they are called on. They are a relatively new specification at the 
+ * time this function was authored. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array toSorted() 
+ * method: 
+ * "The toSorted() method of Array instances is the copying version of the 
+ * sort() method. It returns a new array with the elements sorted in ascending 
+ * order." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's toSorted() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/toSorted
+ * 
+ * @param { Array | object } targetObj - Required parameter. An Array or 
+ * Array-like object which will have its entries copied into a new, sorted 
+ * Array. An object passed to this parameter must have a consecutively indexed 
+ * range of entries and a "length" property indicating the number of entries 
+ * in the range, like the static Array returned by the elementsByClass() 
+ * function or a NodeList. Empty slots are copied as undefined. A valid 
+ * argument must not be undefined or null. 
+ * 
+ * @param { Function } compareFn - Optional parameter. From MDN: 
+ * "A function that determines the order of the elements. If omitted, the 
+ * array elements are converted to strings, then sorted according to each 
+ * character's Unicode code point value." 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the argument to the "targetObj" parameter is undefined or null; or 
+ * - the argument to the "compareFn" parameter is neither undefined nor a 
+ *   function. 
+ * 
+ * @returns { Array } - 
+ * A new Array containing the entries of the "targetObj" argument in sorted 
+ * order. An empty Array is returned if the "targetObj" argument is not a list 
+ * with a "length" property. 
+ */
+function arrayToSortedPolyfill(targetObj, compareFn) {
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null, 
+     * and whether the "compareFn" argument is either undefined or a function. 
+     * The comparison function is checked before any entries are copied, the 
+     * same way as the native implementation. 
+     * 
+     * @throws - 
+     * A TypeError exception if either argument is invalid. 
+     * 
+     * @returns { boolean } - 
+     * Boolean true or false depending on whether the "targetObj" argument has 
+     * a "length" number data-type property. 
+     */
+    function checkParams() {
+
+        if (typeof compareFn !== "undefined" 
+            && typeof compareFn !== "function") {
+
+            throw new TypeError("Parameter \"compareFn\" must either be " 
+                + "undefined or a function.");
+        }
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Copies the entries of the "targetObj" argument into a new Array and 
+     * sorts it with the Array class's sort() method. The comparison function 
+     * is only passed to the sort() method when it was specified, since some 
+     * legacy Internet browsers throw an exception when undefined is passed to 
+     * it explicitly. 
+     * 
+     * @returns { Array } - The new, sorted Array 
+     */
+    function sortCopy() {
+
+        var index, length = Math.floor(targetObj.length), copy = [];
+
+        for (index = 0; index < length; index++) {
+
+            copy[index] = targetObj[index];
+        }
+
+        return compareFn ? copy.sort(compareFn) : copy.sort();
+    }
+
+    /* Main function execution area */
+    return checkParams() ? sortCopy() : [];
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array toSorted() polyfill.");
+}
+
+/* If the Array class's toSorted() method is not supported by the current 
+ Internet browser, install a non-enumerable toSorted() method in its prototype 
+ which calls the polyfill function defined above. */
+installPolyfill(Array.prototype, "toSorted", function(compareFn) {
+
+    return arrayToSortedPolyfill(this, compareFn);
+});
@@ -0,0 +1,223 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's toSpliced() method for Internet browsers that do not support it. 
+ * The method removes and/or inserts entries like the splice() method, but in 
+ * a new Array, so the list it is called on is left unchanged. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array toSpliced() 
+ * method: 
+ * "The toSpliced() method of Array instances is the copying version of the 
+ * splice() method. It returns a new array with some elements removed and/or 
+ * replaced at a given index." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's toSpliced() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/toSpliced
+ * 
+ * @param { Array | object } targetObj - Required parameter. An Array or 
+ * Array-like object which will have its entries copied into the new Array. 
+ * An object passed to this parameter must have a consecutively indexed range 
+ * of entries and a "length" property indicating the number of entries in the 
+ * range. Empty slots are copied as undefined. A valid argument must not be 
+ * undefined or null. 
+ * 
+ * @param { number } parentArgLen - Required parameter. Contains the integer 
+ * number of arguments passed to the parent polyfill calling method. This is 
+ * used for telling whether arguments were passed to the optional "start" and 
+ * "skipCount" parameters of this function, since the default values of the 
+ * two parameters are different from an explicit undefined argument. 
+ * 
+ * @param { number } start - Optional parameter. The index at which entries 
+ * start to be removed and new entries are inserted. Supports relative 
+ * indexing from the end of the list when a negative index is passed, the same 
+ * way as the at() method. An index reaching before the start of the list is 
+ * treated as 0, and one reaching past its end is treated as the list's 
+ * length. If no argument is passed, nothing is removed. 
+ * 
+ * @param { number } skipCount - Optional parameter. The number of entries to 
+ * remove from the "start" index. If no argument is passed, every entry from 
+ * the "start" index to the end of the list is removed. Negative numbers are 
+ * treated as 0. 
+ * 
+ * @param { Array } items - Optional parameter. An Array of the entries to 
+ * insert at the "start" index. Usually, when the toSpliced() polyfill parent 
+ * method is called, this contains every argument passed to it after the 
+ * "skipCount" argument. 
+ * 
+ * @throws - 
+ * A TypeError exception if the argument to the "targetObj" parameter is 
+ * undefined or null. 
+ * 
+ * @returns { Array } - 
+ * A new Array containing the entries of the "targetObj" argument before the 
+ * "start" index, followed by the entries of the "items" argument, followed by 
+ * the entries remaining after the skipped ones. 
+ */
+function arrayToSplicedPolyfill(targetObj, parentArgLen, start, skipCount, 
+    items) {
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null, 
+     * and whether it has a "length" number data-type property. 
+     * 
+     * @throws - 
+     * A TypeError exception if the "targetObj" argument is undefined or null. 
+     * 
+     * @returns { boolean } - 
+     * Boolean true or false depending on whether the "targetObj" argument is 
+     * a list with entries that can be copied. 
+     */
+    function checkTargetObj() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Converts a value to an integer by truncating any decimal portion. 
+     * Values which are not valid Numbers (NaN) are converted to 0, and 
+     * positive or negative Infinity is kept as it is. 
+     * 
+     * @param { any } value - The value to be converted. 
+     * 
+     * @returns { number } - An integer or Infinity 
+     */
+    function toInteger(value) {
+
+        value = Number(value);
+
+        if (isNaN(value)) {
+
+            return 0;
+        }
+
+        return value < 0 ? Math.ceil(value) : Math.floor(value);
+    }
+
+    /**
+     * Converts the "start" argument to an index in the range of 0 to the 
+     * length of the list, counting negative values back from the end of the 
+     * list. 
+     * 
+     * @param { number } length - The number of entries in the list. 
+     * 
+     * @returns { number } - The actual start index 
+     */
+    function getStartIndex(length) {
+
+        var relStart = toInteger(start);
+
+        if (relStart < 0) {
+
+            return Math.max(length + relStart, 0);
+        }
+
+        return Math.min(relStart, length);
+    }
+
+    /**
+     * Determines how many entries to skip from the start index, depending on 
+     * how many arguments were passed to the parent polyfill calling method. 
+     * 
+     * @param { number } length - The number of entries in the list. 
+     * @param { number } startIndex - The actual start index. 
+     * 
+     * @returns { number } - 
+     * An integer in the range of 0 to the number of entries after the start 
+     * index. 
+     */
+    function getSkipCount(length, startIndex) {
+
+        if (parentArgLen < 1) {
+
+            return 0;
+        }
+
+        if (parentArgLen < 2) {
+
+            return length - startIndex;
+        }
+
+        return Math.min(Math.max(toInteger(skipCount), 0), 
+            length - startIndex);
+    }
+
+    /**
+     * Builds the new Array from the entries before the start index, the new 
+     * entries, and the entries after the skipped ones. 
+     * 
+     * @returns { Array } - The new Array 
+     */
+    function spliceCopy() {
+
+        var length = checkTargetObj() ? Math.floor(targetObj.length) : 0;
+        var startIndex = getStartIndex(length);
+        var resumeIndex = startIndex + getSkipCount(length, startIndex);
+        var index, copy = [];
+
+        for (index = 0; index < startIndex; index++) {
+
+            copy.push(targetObj[index]);
+        }
+
+        if (items) {
+
+            for (index = 0; index < items.length; index++) {
+
+                copy.push(items[index]);
+            }
+        }
+
+        for (index = resumeIndex; index < length; index++) {
+
+            copy.push(targetObj[index]);
+        }
+
+        return copy;
+    }
+
+    /* Main function execution area */
+    return spliceCopy();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array toSpliced() polyfill.");
+}
+
+/* If the Array class's toSpliced() method is not supported by the current 
+ Internet browser, install a non-enumerable toSpliced() method in its 
+ prototype which calls the polyfill function defined above. Any arguments 
+ after the first two are the new entries to be inserted. */
+installPolyfill(Array.prototype, "toSpliced", function(start, skipCount) {
+
+    return arrayToSplicedPolyfill(this, arguments.length, start, skipCount, 
+        Array.prototype.slice.call(arguments, 2));
+});
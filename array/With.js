@@ -0,0 +1,163 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Array 
+ * class's with() method for Internet browsers that do not support it. The 
+ * method is the copying counterpart of assigning a value to an index with 
+ * bracket notation, and it supports negative indices like the at() method. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Array with() method: 
+ * "The with() method of Array instances is the copying version of using the 
+ * bracket notation to change the value of a given index. It returns a new 
+ * array with the element at the given index replaced with the given value." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Array class's with() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/with
+ * 
+ * @param { Array | object } targetObj - Required parameter. An Array or 
+ * Array-like object which will have its entries copied into the new Array. 
+ * An object passed to this parameter must have a consecutively indexed range 
+ * of entries and a "length" property indicating the number of entries in the 
+ * range. Empty slots are copied as undefined. A valid argument must not be 
+ * undefined or null. 
+ * 
+ * @param { number } index - Required parameter. The index of the entry to be 
+ * replaced in the new Array. Any decimal portion is truncated, and negative 
+ * integers are counted back from the end of the list. A value which is not a 
+ * valid Number (NaN) is treated as 0. 
+ * 
+ * @param { any } value - Required parameter. The value to be placed at the 
+ * index in the new Array. 
+ * 
+ * @throws - 
+ * - A TypeError exception if the argument to the "targetObj" parameter is 
+ *   undefined or null. 
+ * - A RangeError exception if the index does not reference an existing entry 
+ *   of the list, meaning that it is greater than or equal to the length of 
+ *   the list, or it is negative and reaches before the start of the list. 
+ * 
+ * @returns { Array } - 
+ * A new Array with the entries of the "targetObj" argument, except for the 
+ * entry at the index, which is replaced by the "value" argument. 
+ */
+function arrayWithPolyfill(targetObj, index, value) {
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null, 
+     * and whether it has a "length" number data-type property. 
+     * 
+     * @throws - 
+     * A TypeError exception if the "targetObj" argument is undefined or null. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function checkTargetObj() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+
+        return typeof targetObj.length === "number";
+    }
+
+    /**
+     * Converts the "index" argument to a zero or positive integer index and 
+     * checks whether it is inside the range of entries of the list. Like the 
+     * native method, the index is truncated towards zero first, and the 
+     * length of the list is only added to it if it is still negative, so that 
+     * an index between -1 and 0, such as -0.5, references the first entry. 
+     * 
+     * @param { number } length - The number of entries in the list. 
+     * 
+     * @throws - 
+     * A RangeError exception if the index is outside of the range of entries. 
+     * 
+     * @returns { number } - The actual index of the entry to be replaced 
+     */
+    function checkIndex(length) {
+
+        var actualIndex = Number(index);
+
+        if (isNaN(actualIndex)) {
+
+            actualIndex = 0;
+        }
+
+        actualIndex = actualIndex < 0 ? Math.ceil(actualIndex) 
+            : Math.floor(actualIndex);
+
+        if (actualIndex < 0) {
+
+            actualIndex += length;
+        }
+
+        if (actualIndex < 0 || actualIndex >= length) {
+
+            throw new RangeError("Parameter \"index\" must reference an " 
+                + "existing entry in the range of the list's entries.");
+        }
+
+        return actualIndex;
+    }
+
+    /**
+     * Copies the entries of the "targetObj" argument into a new Array, 
+     * replacing the entry at the checked index with the "value" argument. 
+     * 
+     * @returns { Array } - The new Array 
+     */
+    function replaceCopy() {
+
+        var length = checkTargetObj() ? Math.floor(targetObj.length) : 0;
+        var replaceIndex = checkIndex(length), copyIndex, copy = [];
+
+        for (copyIndex = 0; copyIndex < length; copyIndex++) {
+
+            copy[copyIndex] = copyIndex === replaceIndex ? value 
+                : targetObj[copyIndex];
+        }
+
+        return copy;
+    }
+
+    /* Main function execution area */
+    return replaceCopy();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Array class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Array with() polyfill.");
+}
+
+/* If the Array class's with() method is not supported by the current Internet 
+ browser, install a non-enumerable with() method in its prototype which calls 
+ the polyfill function defined above. The method name is a reserved word in 
+ ES3, so it is only ever written as a string, which also applies to the 
+ ponyfill: call it as ponyfill["with"](list, index, value). */
+installPolyfill(Array.prototype, "with", function(index, value) {
+
+    return arrayWithPolyfill(this, index, value);
+});
@@ -0,0 +1,401 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * The stringTrimPolyfill() function from string/Trim.js is essential for the 
+ * functions in this file. It is called directly rather than through the String 
+ * trim() method, so that it also works in ponyfill mode, which leaves the 
+ * String class's prototype unpatched. 
+ */
+if (typeof stringTrimPolyfill !== "function") {
+
+    throw new ReferenceError("stringTrimPolyfill() function from " 
+        + "string/Trim.js must be loaded in order to use the functions of " 
+        + "class/CheckClassArgs.js.");
+}
+
+/**
+ * Checks whether a value is a DOM element, particularly an HTML element. If 
+ * the current Internet browser supports the Element API, this function checks 
+ * whether the value inherits from the Element class. Otherwise, it checks: 
+ * - whether the value is a non-null object; 
+ * - whether the nodeType property is present with an integer value of 1, 
+ *   indicating that the object is an Element (HTML) node; 
+ * - whether the object has the inline "style" property of the Element or 
+ *   equivalent class. 
+ * 
+ * @param {any} obj - The value to be checked. 
+ * 
+ * @returns {boolean} - 
+ * Boolean true or false 
+ */
+function isClassElement(obj) {
+
+    if (typeof Element !== "undefined") {
+
+        return obj instanceof Element;
+    }
+
+    return !!(obj && obj.nodeType === 1 && obj.style);
+}
+
+/**
+ * Checks the "elementTarget" argument shared by the addCSSClass(), 
+ * removeCSSClass(), toggleCSSClass() and replaceCSSClass() functions, which 
+ * must either be an Element object, or a non-empty list data structure with 
+ * consecutive, integer indices and a "length" property, such as an 
+ * HTMLCollection, NodeList, or Array object. Elements with a "length" 
+ * property of their own, such as <form> and <select> Elements, count as 
+ * single Element objects. 
+ * 
+ * @param {Element | HTMLCollection<Element> | NodeList<Element> | 
+ * Array<Element>} elementTarget - The argument value to be checked. 
+ * 
+ * @throws - 
+ * - A TypeError exception if the value is neither an Element object nor a 
+ *   list data structure. 
+ * - A RangeError exception if the value is an empty list data structure. 
+ * 
+ * @returns {boolean} - 
+ * Boolean true if the value is a list data structure, or Boolean false if it 
+ * is a single Element object. 
+ */
+function checkElementTarget(elementTarget) {
+
+    var error;
+
+    if (isClassElement(elementTarget)) {
+
+        return false;
+    }
+
+    if (!elementTarget || typeof elementTarget !== "object" 
+        || typeof elementTarget.length !== "number") {
+
+        error = new TypeError("Parameter 1, \"elementTarget\", must either " 
+            + "be an Element object or an array-like list data structure " 
+            + "full of Element object entries.");
+        error.message += logClassArgError(error, elementTarget);
+        throw error;
+    }
+
+    if (!elementTarget.length) {
+
+        error = new RangeError("Parameter 1, \"elementTarget\", must not be " 
+            + "an empty array or list data structure.");
+        error.message += logClassArgError(error, elementTarget);
+        throw error;
+    }
+
+    return true;
+}
+
+/**
+ * Checks an argument value holding CSS class names, such as the "newClass" 
+ * parameter of the addCSSClass() function, which must either be a non-empty 
+ * string or an Array of strings, and converts it into an Array of unique CSS 
+ * class names. 
+ * 
+ * A string is trimmed and split apart by whitespace characters into CSS class 
+ * name entries. Each Array entry is trimmed as well, and an entry containing 
+ * more than one whitespace-separated CSS class name is split into several 
+ * entries. Only one copy of each CSS class name is necessary for an Element 
+ * object to inherit a CSS class's styling properties, so duplicates are 
+ * removed. The Array passed as an argument is not modified. 
+ * 
+ * In Internet browsers which only support a CSS version before 3, each CSS 
+ * class name must also obey the syntax rules for a CSS1/CSS2 class name. 
+ * 
+ * @param {string | Array<string>} argValue - The argument value to be 
+ * checked. 
+ * @param {number} paramNum - The number of the parameter to which 
+ * "argValue" was passed in the order of the calling function's definition. 
+ * Used for exception message printouts, e.g. "Parameter 1." 
+ * @param {string} paramName - The name of the parameter to which 
+ * "argValue" was passed in the calling function's definition. Used for 
+ * exception message printouts. 
+ * @param {boolean} emptyCheck - Whether an empty or whitespace-only string, 
+ * or such an Array entry, raises an exception. If false, such strings and 
+ * entries are skipped instead. 
+ * 
+ * @throws - 
+ * - A TypeError exception if "argValue" is neither a string nor an Array, or 
+ *   if an entry of the Array is not a string. 
+ * - A RangeError exception if "argValue" is an empty Array. 
+ * - A RangeError exception if "argValue" is an empty string, or an Array 
+ *   with an empty string entry, and "emptyCheck" is set to true. 
+ * - A RangeError exception if the Internet browser only supports a CSS 
+ *   version before 3 and a CSS class name violates the syntax rules for a 
+ *   CSS1/CSS2 class name. 
+ * 
+ * @returns {Array<string>} - 
+ * An Array of unique, non-empty, whitespace-free CSS class names. 
+ */
+function checkClassNames(argValue, paramNum, paramName, emptyCheck) {
+
+    /**
+     * Boolean value. Indicates whether or not a user's Internet browser 
+     * supports CSS3 standard features and syntax, by testing whether an 
+     * Element object's inline "style" property supports the 
+     * "background-size" CSS property, which was added to most Internet 
+     * browser versions which first supported CSS3. 
+     */
+    var css3 = typeof document.createElement("div").style.backgroundSize 
+        === "string";
+
+    /**
+     * Checks a single CSS class name against the syntax rules of the CSS 
+     * version which the Internet browser supports. 
+     * 
+     * @param {string} cssClass - The CSS class name. 
+     * @param {number} index - The index of the Array entry it came from. 
+     * 
+     * @throws - 
+     * A RangeError exception if the CSS class name violates the syntax rules 
+     * for a CSS1/CSS2 class name in an Internet browser without CSS3. 
+     * 
+     * @returns {string} - The CSS class name 
+     */
+    function checkSyntax(cssClass, index) {
+
+        var error;
+
+        if (css3) {
+
+            return cssClass.replace(/\0/g, "");
+        }
+
+        if (!/^\-?[a-zA-Z_]{1}[\w\-]*$/.test(cssClass)) {
+
+            error = new RangeError("Entry at index " + index 
+                + " of the argument array to the parameter " + paramNum 
+                + ", \"" + paramName + "\", must be a validly formatted " 
+                + "CSS1/CSS2 class name.");
+            error.message += logClassArgError(error, cssClass);
+            throw error;
+        }
+
+        return cssClass;
+    }
+
+    /**
+     * Checks each entry of an Array of CSS class name strings, and collects 
+     * the unique CSS class names from them. An object with the names of each 
+     * unique CSS class name as a name of a property is used for fast hash 
+     * table look-ups to see whether a CSS class name was already collected. 
+     * 
+     * @param {Array<string>} argArray - The Array to be checked. 
+     * 
+     * @returns {Array<string>} - The unique CSS class names 
+     */
+    function checkArray(argArray) {
+
+        var index, splitIndex, entry, parts, error, checked = {}, result = [];
+
+        for (index = 0; index < argArray.length; index++) {
+
+            entry = argArray[index];
+
+            /* Original entries can only be strings. */
+            if (typeof entry !== "string") {
+
+                error = new TypeError("Entry at index " + index 
+                    + " of the argument array to parameter " + paramNum 
+                    + ", \"" + paramName + "\", is not a string.");
+                error.message += logClassArgError(error, entry);
+                throw error;
+            }
+
+            parts = splitClassValue(entry);
+
+            if (!parts.length && emptyCheck) {
+
+                throw new RangeError("Entry at index " + index 
+                    + " of the argument array to the parameter " + paramNum 
+                    + ", \"" + paramName + "\", is an empty string.");
+            }
+
+            for (splitIndex = 0; splitIndex < parts.length; splitIndex++) {
+
+                entry = checkSyntax(parts[splitIndex], index);
+
+                if (entry 
+                    && !Object.prototype.hasOwnProperty.call(checked, entry)) {
+
+                    checked[entry] = true;
+                    result.push(entry);
+                }
+            }
+        }
+
+        return result;
+    }
+
+    /* Main function execution area */
+    var error;
+
+    if (typeof argValue === "string") {
+
+        if (emptyCheck && !stringTrimPolyfill(argValue)) {
+
+            throw new RangeError("Parameter " + paramNum + ", " + paramName 
+                + ", is an empty string value.");
+        }
+
+        return checkArray([argValue]);
+    }
+
+    if (argValue instanceof Array) {
+
+        if (!argValue.length) {
+
+            throw new RangeError("Parameter " + paramNum + ", " + paramName 
+                + ", must not be an empty array and must contain string " 
+                + "entries.");
+        }
+
+        return checkArray(argValue);
+    }
+
+    error = new TypeError("Parameter " + paramNum + ", \"" + paramName 
+        + "\", must either be a string or an array of string entries.");
+    error.message += logClassArgError(error, argValue);
+    throw error;
+}
+
+/**
+ * Splits a "class" attribute value apart into its CSS class name entries by 
+ * whitespace characters, after removing leading and trailing whitespace. 
+ * Entries are compared as whole strings by the functions of the class/ 
+ * directory rather than searched with a RegExp object, since a CSS3 class 
+ * name can contain characters with a special meaning in regular expressions, 
+ * and since a word boundary ("\b") also matches at hyphens, e.g. inside of 
+ * "menu-open" for "menu". 
+ * 
+ * @param {string | null} classValue - The "class" attribute value. Null and 
+ * undefined, as returned by the getAttribute() method for a missing 
+ * attribute, count as an empty string. 
+ * 
+ * @returns {Array<string>} - 
+ * The CSS class name entries, which may include duplicates, or an empty 
+ * Array if there are none. 
+ */
+function splitClassValue(classValue) {
+
+    classValue = classValue ? stringTrimPolyfill(classValue) : "";
+    return classValue ? classValue.split(/[\s\uFEFF\xA0]+/) : [];
+}
+
+/**
+ * Tells whether the Element API's "classList" property is built into the 
+ * Internet browser or was installed by class/ClassList.js, so that the 
+ * functions of the class/ directory record their "classList" tier with the 
+ * right status. The getter installed through the installPolyfill() function 
+ * is recognized by its isInstalledPolyfill() function. 
+ * 
+ * @returns {string} - 
+ * "polyfilled" if the "classList" getter of the Element class's prototype is 
+ * the one from class/ClassList.js, or "native" otherwise. 
+ */
+function getClassListStatus() {
+
+    var getter;
+
+    if (typeof isInstalledPolyfill !== "function" 
+        || typeof Element === "undefined") {
+
+        return "native";
+    }
+
+    try {
+
+        if (typeof Object.getOwnPropertyDescriptor === "function") {
+
+            getter = Object.getOwnPropertyDescriptor(Element.prototype, 
+                "classList");
+            getter = getter && getter.get;
+        }
+        else if (Element.prototype.__lookupGetter__) {
+
+            getter = Element.prototype.__lookupGetter__("classList");
+        }
+    }
+    catch (e) {
+
+        return "native";
+    }
+
+    return isInstalledPolyfill(getter) ? "polyfilled" : "native";
+}
+
+/**
+ * Logs information containing the type, value, and/or any data members of an 
+ * argument value passed to a parameter of a function in the class/ directory 
+ * which was not of the expected data or object type. Also logs the 
+ * JavaScript call stack trace for the current point of execution at which an 
+ * exception calling this function occurred, as not all Internet browsers do 
+ * this by default. Intended for output to an Internet browser's console 
+ * inside of an exception or error message. 
+ * 
+ * @param {Error} error - The exception that will be thrown with these logged 
+ * details inside of its message. 
+ * 
+ * @param {any} argValue - The value of the argument passed to a function 
+ * parameter which is not of the expected data or object type. 
+ * 
+ * @returns {string} - 
+ * A string containing the call stack trace for the current point of 
+ * execution, if methods to report this are supported. A blank string if the 
+ * invalid argument value is a non-null object whose data members are logged 
+ * as an error message to the console. Otherwise, returns a string containing 
+ * the primitive data type and value of the invalid argument value. 
+ */
+function logClassArgError(error, argValue) {
+
+    var errorStr;
+
+    if (argValue && typeof argValue === "object" && console.error) {
+
+        console.error(argValue);
+
+        if (error && error.stack) {
+
+            return "\r\n\r\n" + error.stack;
+        }
+
+        if (console.trace) {
+
+            console.trace();
+        }
+
+        return "";
+    }
+
+    errorStr = "\r\nType: " + typeof argValue;
+    errorStr += "\r\nValue: " + argValue;
+
+    if (error && error.stack) {
+
+        errorStr += "\r\n\r\n" + error.stack;
+    }
+    else if (console.trace) {
+
+        console.trace();
+    }
+
+    return errorStr;
+}
@@ -0,0 +1,604 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * The isClassElement() and splitClassValue() functions from 
+ * class/CheckClassArgs.js check the argument of the classListPolyfill() 
+ * function and split the "class" attribute value apart. That file in turn 
+ * requires string/Trim.js. 
+ */
+if (typeof splitClassValue !== "function") {
+
+    throw new ReferenceError("splitClassValue() function from " 
+        + "class/CheckClassArgs.js must be loaded in order to use the " 
+        + "classListPolyfill() function.");
+}
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Element 
+ * class's "classList" property for Internet browsers that do not support it, 
+ * such as Internet Explorer 8 and 9. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Element "classList" 
+ * property: 
+ * "The Element.classList is a read-only property that returns a live 
+ * DOMTokenList collection of the class attributes of the element. This can 
+ * then be used to manipulate the class list." 
+ * 
+ * The returned object has the add(), remove(), toggle(), contains(), 
+ * replace(), item() and toString() methods of the DOMTokenList interface, as 
+ * well as its "length" and "value" properties and an indexed entry for each 
+ * CSS class name. The "class" attribute is split apart into CSS class name 
+ * entries by whitespace characters and written back joined by a single ASCII 
+ * space character, the same way as in the removeCSSClass(), toggleCSSClass() 
+ * and replaceCSSClass() functions of the class/ directory. It is read from 
+ * the Element class's "className" property, or with the getAttribute() and 
+ * setAttribute() methods for elements whose "className" property is not a 
+ * string, such as SVG elements. 
+ * 
+ * Like the native property, the same object is returned for an Element 
+ * object every time. The objects are kept in a WeakMap where it is 
+ * supported, and otherwise in a property of each Element object. The 
+ * "length" and "value" properties are getters, and assigning to the "value" 
+ * property sets the "class" attribute. Since getters cannot be defined on 
+ * plain objects in Internet Explorer 8, both properties are updated there 
+ * whenever a method of the object other than contains() is called or the 
+ * "classList" property is read instead, and assigning to the "value" property 
+ * has no effect. The indexed entries are updated the same way in every 
+ * Internet browser. 
+ * 
+ * Invalid CSS class names raise a RangeError exception, like in the other 
+ * functions of the class/ directory. This differs from the native methods, 
+ * which throw a "SyntaxError" DOMException for an empty string and an 
+ * "InvalidCharacterError" DOMException for a string containing whitespace, 
+ * so code which handles these exceptions must check for both kinds. 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Element class's "classList" property: 
+ * https://developer.mozilla.org/en-US/docs/Web/API/Element/classList
+ * 
+ * @param {Element} element - Required. The Element object whose "class" 
+ * attribute is represented. 
+ * 
+ * @throws - 
+ * A TypeError exception if the value passed to the "element" parameter is not 
+ * an Element object. 
+ * 
+ * @returns {object} - 
+ * A DOMTokenList-like object for the "class" attribute of the Element object. 
+ */
+function classListPolyfill(element) {
+
+    /**
+     * The DOMTokenList-like object returned by the parent function. 
+     */
+    var tokenList = {};
+
+    /**
+     * The number of indexed entries currently set on the DOMTokenList-like 
+     * object by the sync() function. 
+     */
+    var syncedLength = 0;
+
+    /**
+     * Boolean value. Tells whether or not the "length" and "value" properties 
+     * of the DOMTokenList-like object are getters. 
+     */
+    var hasGetters;
+
+    /**
+     * The record of the DOMTokenList-like object created for the Element 
+     * object by an earlier call, if there is one. 
+     */
+    var cached;
+
+    /**
+     * Checks whether the argument passed to the "element" parameter of the 
+     * parent function is an Element object, with the isClassElement() 
+     * function. 
+     * 
+     * @throws - 
+     * A TypeError exception if it is not an Element object. 
+     */
+    function checkElement() {
+
+        if (!isClassElement(element)) {
+
+            throw new TypeError("Parameter \"element\" must be an Element " 
+                + "object.");
+        }
+    }
+
+    /**
+     * Retrieves the record of the DOMTokenList-like object created for the 
+     * Element object by an earlier call, if there is one. 
+     * 
+     * @returns {object | undefined} - 
+     * An object with the "tokenList" and "sync" properties, or undefined 
+     */
+    function getCached() {
+
+        var lists = classListPolyfill.lists;
+
+        return lists ? lists.get(element) : element.classListPolyfillRecord;
+    }
+
+    /**
+     * Stores the record of the DOMTokenList-like object created by this call 
+     * for later calls with the same Element object. 
+     */
+    function setCached() {
+
+        var record = { tokenList: tokenList, sync: sync };
+
+        if (classListPolyfill.lists) {
+
+            classListPolyfill.lists.set(element, record);
+        }
+        else {
+
+            element.classListPolyfillRecord = record;
+        }
+    }
+
+    /**
+     * Retrieves the value of the "class" attribute of the Element object. 
+     * 
+     * @returns {string} - The "class" attribute value, or an empty string 
+     */
+    function readClass() {
+
+        if (typeof element.className === "string") {
+
+            return element.className;
+        }
+
+        return element.getAttribute("class") || "";
+    }
+
+    /**
+     * Sets the value of the "class" attribute of the Element object, if it 
+     * differs from the current one. 
+     * 
+     * @param {string} classValue - The new "class" attribute value. 
+     */
+    function writeClass(classValue) {
+
+        if (classValue === readClass()) {
+
+            return;
+        }
+
+        if (typeof element.className === "string") {
+
+            element.className = classValue;
+        }
+        else {
+
+            element.setAttribute("class", classValue);
+        }
+    }
+
+    /**
+     * Splits the "class" attribute value apart into its CSS class name 
+     * entries with the splitClassValue() function. Like a DOMTokenList, the 
+     * entries form an ordered set, so only the first copy of each CSS class 
+     * name is kept. 
+     * 
+     * @returns {Array<string>} - The CSS class name entries 
+     */
+    function getTokens() {
+
+        var entries = splitClassValue(readClass());
+        var index, tokens = [], checked = {};
+
+        for (index = 0; index < entries.length; index++) {
+
+            if (!Object.prototype.hasOwnProperty.call(checked, 
+                entries[index])) {
+
+                checked[entries[index]] = true;
+                tokens.push(entries[index]);
+            }
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Finds the index of a CSS class name in a list of CSS class name 
+     * entries. The Array indexOf() method is not used, since Internet 
+     * Explorer 8 does not support it. 
+     * 
+     * @param {Array<string>} tokens - The CSS class name entries. 
+     * @param {string} token - The CSS class name to be found. 
+     * 
+     * @returns {number} - The index of the CSS class name, or -1 
+     */
+    function findToken(tokens, token) {
+
+        for (var index = 0; index < tokens.length; index++) {
+
+            if (tokens[index] === token) {
+
+                return index;
+            }
+        }
+
+        return -1;
+    }
+
+    /**
+     * Converts an argument to a string and checks whether it is a valid CSS 
+     * class name entry, meaning a non-empty string which the splitClassValue() 
+     * function does not split apart or trim. 
+     * 
+     * @param {any} token - The argument to be checked. 
+     * 
+     * @throws - 
+     * - A RangeError exception if the string is empty, where the native 
+     *   methods throw a "SyntaxError" DOMException. 
+     * - A RangeError exception if the string contains a whitespace character, 
+     *   where the native methods throw an "InvalidCharacterError" 
+     *   DOMException. 
+     * 
+     * @returns {string} - The CSS class name 
+     */
+    function checkToken(token) {
+
+        var entries;
+
+        token = String(token);
+
+        if (!token) {
+
+            throw new RangeError("A CSS class name must not be an empty " 
+                + "string.");
+        }
+
+        entries = splitClassValue(token);
+
+        if (entries.length !== 1 || entries[0] !== token) {
+
+            throw new RangeError("The CSS class name \"" + token + "\" must " 
+                + "not contain whitespace characters.");
+        }
+
+        return token;
+    }
+
+    /**
+     * Checks every argument passed to a method of the DOMTokenList-like 
+     * object with the checkToken() function, before any of them is applied. 
+     * 
+     * @param {Arguments} args - The arguments of the method. 
+     * 
+     * @returns {Array<string>} - The CSS class names 
+     */
+    function checkTokens(args) {
+
+        var index, tokens = [];
+
+        for (index = 0; index < args.length; index++) {
+
+            tokens.push(checkToken(args[index]));
+        }
+
+        return tokens;
+    }
+
+    /**
+     * Updates the indexed entries of the DOMTokenList-like object to match 
+     * the current "class" attribute value, removing indexed entries beyond 
+     * the new length. Also updates the "length" and "value" properties if 
+     * they are not getters. 
+     */
+    function sync() {
+
+        var tokens = getTokens(), index;
+
+        for (index = tokens.length; index < syncedLength; index++) {
+
+            delete tokenList[index];
+        }
+
+        for (index = 0; index < tokens.length; index++) {
+
+            tokenList[index] = tokens[index];
+        }
+
+        syncedLength = tokens.length;
+
+        if (!hasGetters) {
+
+            tokenList.length = tokens.length;
+            tokenList.value = readClass();
+        }
+    }
+
+    /**
+     * Defines the "length" and "value" properties of the DOMTokenList-like 
+     * object as getters, and a setter for the "value" property which sets the 
+     * "class" attribute. Reading the "length" property also updates the 
+     * indexed entries, so that a loop over them sees the current entries. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true if the getters were defined, or false if the Internet 
+     * browser does not support getters on plain objects, such as Internet 
+     * Explorer 8. 
+     */
+    function defineGetters() {
+
+        try {
+
+            Object.defineProperty(tokenList, "length", {
+                get: function() {
+
+                    sync();
+                    return syncedLength;
+                },
+                configurable: true
+            });
+
+            Object.defineProperty(tokenList, "value", {
+                get: readClass,
+                set: function(classValue) {
+
+                    writeClass(String(classValue));
+                    sync();
+                },
+                configurable: true
+            });
+        }
+        catch (e) {
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Writes a list of CSS class name entries to the "class" attribute and 
+     * updates the DOMTokenList-like object. 
+     * 
+     * @param {Array<string>} tokens - The CSS class name entries. 
+     */
+    function update(tokens) {
+
+        writeClass(tokens.join(" "));
+        sync();
+    }
+
+    /**
+     * Adds each CSS class name passed as an argument, unless it is already 
+     * present. 
+     * 
+     * @throws - 
+     * A RangeError exception if a CSS class name is invalid. 
+     */
+    tokenList.add = function() {
+
+        var added = checkTokens(arguments), tokens = getTokens(), index;
+
+        for (index = 0; index < added.length; index++) {
+
+            if (findToken(tokens, added[index]) < 0) {
+
+                tokens.push(added[index]);
+            }
+        }
+
+        update(tokens);
+    };
+
+    /**
+     * Removes each CSS class name passed as an argument, if it is present. 
+     * 
+     * @throws - 
+     * A RangeError exception if a CSS class name is invalid. 
+     */
+    tokenList.remove = function() {
+
+        var removed = checkTokens(arguments), tokens = getTokens();
+        var index, kept = [];
+
+        for (index = 0; index < tokens.length; index++) {
+
+            if (findToken(removed, tokens[index]) < 0) {
+
+                kept.push(tokens[index]);
+            }
+        }
+
+        update(kept);
+    };
+
+    /**
+     * Removes a CSS class name if it is present, and adds it otherwise. If 
+     * the "force" argument is not undefined, the CSS class name is only added 
+     * if it is truthy, and only removed if it is falsy. 
+     * 
+     * @param {string} token - The CSS class name. 
+     * @param {boolean} force - Optional. Forces adding or removing. 
+     * 
+     * @throws - 
+     * A RangeError exception if the CSS class name is invalid. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true if the CSS class name is present afterwards, or false 
+     */
+    tokenList.toggle = function(token, force) {
+
+        var tokens = getTokens(), index;
+        token = checkToken(token);
+        index = findToken(tokens, token);
+
+        if (index >= 0 && !force) {
+
+            tokens.splice(index, 1);
+            update(tokens);
+            return false;
+        }
+
+        if (index < 0 && (force === undefined || force)) {
+
+            tokens.push(token);
+            update(tokens);
+            return true;
+        }
+
+        sync();
+        return index >= 0;
+    };
+
+    /**
+     * Checks whether a CSS class name is present. Like the native method, an 
+     * invalid CSS class name is not an error, but is never found. 
+     * 
+     * @param {string} token - The CSS class name. 
+     * 
+     * @returns {boolean} - Boolean true or false 
+     */
+    tokenList.contains = function(token) {
+
+        return findToken(getTokens(), String(token)) >= 0;
+    };
+
+    /**
+     * Replaces a CSS class name with another one. Like in the 
+     * replaceCSSClass() function, the first entry of either CSS class name is 
+     * replaced with the new CSS class name, and any further entries of either 
+     * are removed. 
+     * 
+     * @param {string} oldToken - The CSS class name to be replaced. 
+     * @param {string} newToken - The CSS class name to replace it with. 
+     * 
+     * @throws - 
+     * A RangeError exception if either CSS class name is invalid. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true if the old CSS class name was present and replaced, or 
+     * false otherwise. 
+     */
+    tokenList.replace = function(oldToken, newToken) {
+
+        var tokens = getTokens(), index, kept = [], placed = false;
+        oldToken = checkToken(oldToken);
+        newToken = checkToken(newToken);
+
+        if (findToken(tokens, oldToken) < 0) {
+
+            sync();
+            return false;
+        }
+
+        for (index = 0; index < tokens.length; index++) {
+
+            if (tokens[index] !== oldToken && tokens[index] !== newToken) {
+
+                kept.push(tokens[index]);
+            }
+            else if (!placed) {
+
+                kept.push(newToken);
+                placed = true;
+            }
+        }
+
+        update(kept);
+        return true;
+    };
+
+    /**
+     * Retrieves the CSS class name at an index. 
+     * 
+     * @param {number} index - The index of the CSS class name. 
+     * 
+     * @returns {string | null} - 
+     * The CSS class name, or null if the index is out of range 
+     */
+    tokenList.item = function(index) {
+
+        sync();
+        index = Math.floor(Number(index));
+        return index >= 0 && index < syncedLength ? tokenList[index] : null;
+    };
+
+    /**
+     * Retrieves the "class" attribute value, just like the "value" property. 
+     * 
+     * @returns {string} - The "class" attribute value 
+     */
+    tokenList.toString = function() {
+
+        sync();
+        return readClass();
+    };
+
+    /* Main function execution area */
+    checkElement();
+    cached = getCached();
+
+    if (cached) {
+
+        cached.sync();
+        return cached.tokenList;
+    }
+
+    hasGetters = typeof Object.defineProperty === "function" 
+        && defineGetters();
+    sync();
+    setCached();
+    return tokenList;
+}
+
+/* The DOMTokenList-like objects created by the classListPolyfill() function, 
+ kept by Element object where the WeakMap class is supported. */
+classListPolyfill.lists = typeof WeakMap === "function" ? new WeakMap() 
+    : null;
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Element class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Element \"classList\" polyfill.");
+}
+
+/* If the Element class is supported and its "classList" property is not, 
+ install a "classList" getter in its prototype which returns the object of each 
+ Element object from the polyfill function defined above. In Internet browsers 
+ without the Element class, the classList() ponyfill is added directly. */
+if (typeof Element !== "undefined" && Element) {
+
+    installPolyfill(Element.prototype, "classList", {
+        get: function() {
+
+            return classListPolyfill(this);
+        }
+    });
+}
+else {
+
+    ponyfill.classList = function(element) {
+
+        return classListPolyfill(element);
+    };
+}
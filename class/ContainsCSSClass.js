@@ -16,15 +16,28 @@
  */
 
 /**
- * Polyfills the String trim() method in case a user's Internet browser does 
- * not support it. The String trim() method is essential for the 
- * containsCSSClass() function.
+ * The stringTrimPolyfill() function from string/Trim.js is essential for the 
+ * containsCSSClass() function. It is called directly rather than through the 
+ * String trim() method, so that it also works in ponyfill mode, which leaves 
+ * the String class's prototype unpatched. 
  */
-if (!String.prototype.trim) {
+if (typeof stringTrimPolyfill !== "function") {
 
-    String.prototype.trim = function () {
-        return this.replace(/^[\s\uFEFF\xA0]+|[\s\uFEFF\xA0]+$/g, '');
-    };
+    throw new ReferenceError("stringTrimPolyfill() function from " 
+        + "string/Trim.js must be loaded in order to use the " 
+        + "containsCSSClass() function.");
+}
+
+/**
+ * The isClassElement() and checkClassNames() functions from 
+ * class/CheckClassArgs.js check the arguments of the containsCSSClass() 
+ * function. 
+ */
+if (typeof checkClassNames !== "function") {
+
+    throw new ReferenceError("checkClassNames() function from " 
+        + "class/CheckClassArgs.js must be loaded in order to use the " 
+        + "containsCSSClass() function.");
 }
 
 /**
@@ -92,35 +105,29 @@ if (!String.prototype.trim) {
  */
 function containsCSSClass(elementTarget, searchClass, singleMatch) {
 
-    /** 
-     * Boolean value. Indicates whether or not a user's Internet browser 
-     * supports CSS3 standard features and syntax. 
-     */
-    this.css3;
-
     /**
-     * Checks whether the arguments passed to the parameters are: 
-     * - of the proper type, meaning an expected primitive data type or 
-     *   inheriting from an expected object class or interface;
-     * - in the expected range of values for their respective types. 
+     * Checks whether the arguments passed to the parameters are of the proper 
+     * type and in the expected range of values, using the isClassElement() 
+     * and checkClassNames() functions from class/CheckClassArgs.js, and 
+     * replaces the "searchClass" parameter's value with the resulting Array 
+     * of unique CSS class names. 
      * 
      * @throws - 
-     * A TypeError exception if the "elementTarget" parameter's argument is 
-     * not an Element object. 
+     * - A TypeError exception if the "elementTarget" parameter's argument is 
+     *   not an Element object. 
+     * - The exceptions raised by the checkClassNames() function. 
      */
     this.checkParameters = function() {
 
-        if (!this.isElement(elementTarget)) {
+        if (!isClassElement(elementTarget)) {
 
             var error = new TypeError("Parameter 1, \"elementTarget\", must " 
                 + "either be an Element object.");
-            error.message += this.logArgError(error, elementTarget);
+            error.message += logClassArgError(error, elementTarget);
             throw error;
         }
 
-        this.css3 = this.supportsCSS3();
-        searchClass = this.checkClassParameter(searchClass, 2, "searchClass", 
-            true);
+        searchClass = checkClassNames(searchClass, 2, "searchClass", true);
 
         if (typeof singleMatch !== "undefined") {
 
@@ -129,344 +136,26 @@ function containsCSSClass(elementTarget, searchClass, singleMatch) {
     }
 
     /**
-     * Checks whether a value is a DOM element, particularly an HTML element. 
-     * If the current Internet browser supports the Element API, this method 
-     * checks whether the value inherits from the Element class. Otherwise, 
-     * this methods checks: 
-     * - whether the value is a non-null object;
-     * - whether the nodeType property is present with an integer value of 1, 
-     *   indicating that the object is an Element (HTML) node; 
-     * - whether the object has the inline "style" property of the Element 
-     *   or equivalent class. 
-     * 
-     * @param {any} obj - Required. The value to be checked. 
-     * 
-     * @returns {boolean} - 
-     * Boolean true or false
-     */
-    this.isElement = function(obj) {
-
-        if (typeof Element !== "undefined") {
-
-            return obj instanceof Element;
-        }
-        
-        return !!(obj && obj.nodeType === 1 && obj.style);
-    }
-
-    /**
-     * Checks whether or not the current Internet browser supports CSS version 
-     * 3 or a version before it by testing whether an Element object's inline 
-     * "style" property supports the "background-size" CSS property, which was 
-     * added to most Internet browser versions which first supported CSS3. 
-     * 
-     * @returns {boolean} - 
-     * Boolean true or false depending on whether the test detects support for 
-     * a CSS3 feature. 
-     */
-    this.supportsCSS3 = function() {
-
-        return elementTarget.style.backgroundSize === "string";
-    }
-
-    /**
-     * Checks whether an argument value passed to the "searchClass" parameter 
-     * of the parent function is either a non-empty string or an array of 
-     * strings, representing CSS class names. 
-     * 
-     * @param {string | Array<string>} argValue - The argument value to be 
-     * checked. 
-     * @param {number} paramNum - The number of the parameter to which 
-     * "argValue" was passed in the order of the parent function definition. 
-     * Used for exception message printouts, e.g. "Parameter 1." 
-     * @param {string} paramName - The name of the parameter to which 
-     * "argValue" was passed in the parent function definition. Used for 
-     * exception message printouts.
-     * @param {boolean} emptyCheck - A Boolean value indicating whether 
-     * "argValue" cannot be an empty or whitespace-only class string argument 
-     * or whether "argValue" cannot contain empty class string entries as an 
-     * array. If true, an exception will be raised if an empty string is found. 
-     * 
-     * @throws - 
-     * - A RangeError exception if "argValue" is an empty string and 
-     *   "emptyCheck" is set to true. 
-     * - A RangeError exception if "argValue" is an empty array. 
-     * - A TypeError exception if "argValue" is neither a string nor an Array. 
-     * 
-     * @returns {Array<string>} - 
-     * An Array split apart by whitespace if "argValue" is a string, or the 
-     * Array value passed to "argValue." Each entry of the Array will be a 
-     * string that will have any leading or trailing whitespace removed. Since 
-     * only one copy of each CSS class name is necessary for an Element object 
-     * to inherit the class's styling properties, the first instance of any CSS 
-     * class name encountered will be kept, and any of the class's duplicate 
-     * entries from the original Array will be removed. 
-     */
-    this.checkClassParameter = function(argValue, paramNum, paramName, 
-        emptyCheck) {
-
-        if (typeof argValue === "string") {
-
-            argValue = argValue.trim();
-    
-            if (emptyCheck && !argValue) {
-        
-                throw new RangeError("Parameter " + paramNum + ", " 
-                    + paramName + ", is an empty string value.");
-            }
-
-            argValue = argValue.split(/[\s\uFEFF\xA0]+/);
-
-            if (!argValue.length) {
-
-                throw new RangeError("Parameter " + paramNum + ", " + paramName 
-                    + ", must not be an empty array and must contain string " 
-                    + "entries.");
-            }
-
-            return this.checkClassArray(argValue, paramNum, paramName, 
-                emptyCheck);
-        }
-        
-        if (argValue instanceof Array) {
-
-            if (!argValue.length) {
-
-                throw new RangeError("Parameter " + paramNum + ", " + paramName 
-                    + ", must not be an empty array and must contain string " 
-                    + "entries.");
-            }
-
-            return this.checkClassArray(argValue, paramNum, paramName, 
-                emptyCheck);
-        }
-
-        var error = new TypeError("Parameter " + paramNum + ", \"" + paramName 
-            + "\", must either be a string or an array of string entries.");
-        error.message += this.logArgError(error, oldClass);
-        throw error;
-    }
-
-    /**
-     * Checks whether all of the entries in an array are non-empty string 
-     * values that obey the syntax for a CSS class name for a browser's 
-     * respective CSS version. If any non-empty duplicate CSS class name string 
-     * values are present in the argument array, they will be removed, since 
-     * Element objects only need one copy of each CSS class name to inherit its 
-     * properties. 
-     * 
-     * @param {Array<string>} argArray - The array of strings to be checked.  
-     * @param {number} paramNum - The integer value of the parameter to which 
-     * "argValue" was passed indicating its order in the parent function 
-     * definition. Used for exception message printouts, e.g. "Parameter 1." 
-     * @param {string} paramName - The name of the parameter to which 
-     * "argValue" was passed in the parent function definition. Used for 
-     * exception message printouts.
-     * @param {boolean} emptyCheck - A Boolean value indicating whether 
-     * "argValue" cannot be an empty or whitespace-only class string argument 
-     * or whether "argValue" cannot contain empty class string entries as an 
-     * array. If true, an exception will be raised if an empty string is found. 
-     * 
-     * @throws - 
-     * - A TypeError exception if an entry in the array is not a string. 
-     * - A RangeError exception if the an entry in the array is an empty string 
-     *   and "emptyCheck" has a value of true.
-     * - A RangeError exception if the browser only supports a CSS version 
-     *   before 3 and a CSS class name entry violates the syntax rules for a 
-     *   CSS 1/2/2.1 class name. 
-     * 
-     * @returns {Array<string>} - 
-     * An Array of non-empty, whole-word, whitespace-trimmed String entries 
-     * that each indicate a CSS class name to be found in the "elementTarget" 
-     * parameter's Element object's "class" attribute. Intended to replace the 
-     * original value of the "searchClass" parameter. 
-     */
-    this.checkClassArray = function(argArray, paramNum, paramName, emptyCheck) {
-
-        var index, entry, error, checked = {}, numDup = 0;
-
-        for (index = 0; index < argArray.length; index++) {
-
-            entry = argArray[index];
-
-            /* Original entries can only be strings. */
-            if (typeof entry !== "string") {
-
-                error = new TypeError("Entry at index " + index 
-                    + " of the argument array to parameter " + paramNum 
-                    + ", \"" + paramName + "\", is not a string.");
-                error.message += this.logArgError(error, entry);
-                throw error;
-            }
-
-            /* Entries with only whitespace count as empty strings. */
-            entry = entry.trim();
-
-            if (!entry && emptyCheck) {
-
-                throw new RangeError("Entry at index " + index 
-                    + " of the argument array to the parameter " + paramNum 
-                    + ", \"" + paramName + "\", is an empty string.");
-            }
-
-            /* If the current entry has spaces in it, split it apart into new 
-             * entries. */
-            if (/[\s\uFEFF\xA0]/.test(entry)) {
-
-                entry = this.addClassEntries(argArray, entry, index);
-            }
-
-            /* Check whether the entry matches the syntax or grammar rules for 
-             * a CSS class name according to the CSS version (3 or below) that 
-             * the user's browser supports. */
-            if (this.css3) {
-
-                entry = entry.replace(/\0/g, '');
-            }
-            else if (!/^\-?[a-zA-Z_]{1}[\w\-]*$/.test(entry)) {
-
-                error = new RangeError("Entry at index " + index 
-                    + " of the argument array to the parameter " + paramNum 
-                    + ", \"" + paramName + "\", must be a validly formatted " 
-                    + "CSS1/CSS2 class name.");
-                error.message += this.logArgError(error, entry);
-                throw error;
-            }
-
-            /* If a CSS class string is not empty, only add it if an instance 
-             * of it does not already exist in the argument array. An object 
-             * with the names of each unique CSS class name as a name of a 
-             * property is used for fast hash table look-ups to see whether 
-             * the entry already exists in the array. If an entry is a 
-             * duplicate, set it to null. */
-            if (entry) {
-
-                if (entry in checked) {
-
-                    argArray[index] = null;
-                    numDup++;
-                }
-                else {
-    
-                    argArray[index] = entry;
-                    checked[entry] = true;
-                }
-            }
-            else {
-
-                argArray[index] = entry;
-            }
-        }
-
-        /* If duplicate entries marked by null exist in the array, remove those 
-         * entries and only keep the original string entries. */
-        if (numDup > 0) {
-
-            var newArray = [];
-
-            for (index = 0; index < argArray.length; index++) {
-
-                entry = argArray[index];
-
-                if (entry !== null) {
-
-                    newArray.push(entry);
-                }
-            }
-
-            return newArray;
-        }
-
-        return argArray;
-    }
-
-    /**
-     * If a CSS class string entry in an argument array provided for the 
-     * "searchClass" parameter has one or more whitespace characters separating 
-     * non-whitespace characters from each other, splits the current entry into 
-     * two or more strings, inserts the second and any subsequent CSS class 
-     * name string sequences into the indices consecutively following the 
-     * current entry, and returns the first sequence in the split entry to 
-     * replace the original entry. 
+     * Records the outcome of the tryMethods() method in the registry of the 
+     * optional polyfill/PolyfillStatus.js file, if it is loaded, under the 
+     * name "containsCSSClass". 
      * 
-     * @param {Array<string>} argArray - The array either passed as an argument 
-     * to the "searchClass" parameter, or an array resulting from splitting a 
-     * string argument passed to the "searchClass" parameter by whitespace 
-     * characters into separate CSS class name entries. 
-     * @param {string} entry - The current string entry in the "argArray" array 
-     * argument 
-     * @param {number} index - The number of the index at which the current 
-     * string argument "entry" occurs in the "argArray" argument array. 
+     * @param {string} status - "native", "polyfilled" or "unavailable". 
      * 
-     * @returns {string} The first string CSS class name sequence resulting 
-     * from the split "entry" argument. Meant to replace the original entry. 
-     */
-    this.addClassEntries = function(argArray, entry, index) {
-
-        var addEntr = entry.split(/[\s\uFEFF\xA0]+/);
-
-        for (var addIndex = 1; addIndex < addEntr.length; addIndex++) {
-
-            argArray.splice(index + addIndex, 0, addEntr[addIndex]);
-        }
-
-        return addEntr[0];
-    }
-
-    /**
-     * Logs information containing the type, value, and/or any data members 
-     * of an argument value passed to a parameter in this function which was 
-     * not of the expected data or object type. Also logs the JavaScript call 
-     * stack trace for the current point of execution at which an exception 
-     * calling this function occurred, as not all Internet browsers do this 
-     * by default. Intended for output to an Internet browser's console inside 
-     * of an exception or error message. 
+     * @param {string} tier - The name of the method that was used, if any. 
      * 
-     * @param {Error} error - The exception that will be thrown with these 
-     * logged details inside of its message.
+     * @param {any} result - The result of that method. 
      * 
-     * @param {any} argValue - The value of the argument passed to a function 
-     * parameter which is not of the expected data or object type. 
-     * 
-     * @returns A string containing the call stack trace for the current point 
-     * of execution, if methods to report this are supported. A blank string 
-     * if the invalid argument value is a non-null object whose data members 
-     * are logged as an error message to the console. Otherwise, returns a 
-     * string containing the primitive data type and value of the invalid 
-     * argument value. 
+     * @returns {any} - The "result" argument, unchanged 
      */
-    this.logArgError = function(error, argValue) {
-
-        if (argValue && typeof argValue === "object" && console.error) {
-
-            console.error(argValue);
-
-            if (error && error.stack) {
-
-                return "\r\n\r\n" + error.stack;
-            }
-            
-            if (console.trace) {
+    this.recordTier = function(status, tier, result) {
 
-                console.trace();
-            }
+        if (typeof recordPolyfillStatus === "function") {
 
-            return "";
+            recordPolyfillStatus("containsCSSClass", status, tier);
         }
 
-        var errorStr = "\r\nType: " + typeof argValue;
-        errorStr += "\r\nValue: " + argValue;
-
-        if (error && error.stack) {
-
-            errorStr += "\r\n\r\n" + error.stack;
-        }
-        else if (console.trace) {
-
-            console.trace();
-        }
-        
-        return errorStr;
+        return result;
     }
 
     /**
@@ -492,23 +181,24 @@ function containsCSSClass(elementTarget, searchClass, singleMatch) {
         
         if (result !== undefined) {
 
-            return result;
+            return this.recordTier(getClassListStatus(), "classList", result);
         }
 
         result = this.byClassName();
         
         if (result !== undefined) {
 
-            return result;
+            return this.recordTier("polyfilled", "className", result);
         }
 
         result = this.byAttribute();
         
         if (result !== undefined) {
 
-            return result;
+            return this.recordTier("polyfilled", "attribute", result);
         }
         
+        this.recordTier("unavailable");
         throw new ReferenceError("No JavaScript functions found for searching " 
             + "for CSS class names in an Element object.");
     }
@@ -631,7 +321,7 @@ function containsCSSClass(elementTarget, searchClass, singleMatch) {
             return false;
         }
 
-        classValue = classValue.trim();
+        classValue = stringTrimPolyfill(classValue);
 
         if (!classValue) {
 
@@ -86,10 +86,11 @@ function elementsByClass(className, container, getLive) {
             throw new TypeError("Parameter \"className\" is not a string.");
         }
     
-        if (className.trim) {
-    
-            className = className.trim();
-        }
+        /* string/Trim.js is optional for this function, so its whitespace 
+         pattern is used directly if the file is not loaded. */
+        className = typeof stringTrimPolyfill === "function" 
+            ? stringTrimPolyfill(className) 
+            : className.replace(/^[\s\uFEFF\xA0]+|[\s\uFEFF\xA0]+$/g, "");
     
         if (!className) {
     
@@ -0,0 +1,396 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * The checkElementTarget(), checkClassNames() and splitClassValue() functions 
+ * from class/CheckClassArgs.js check the arguments of the removeCSSClass() 
+ * function and split apart the "class" attribute values it changes. 
+ */
+if (typeof checkClassNames !== "function") {
+
+    throw new ReferenceError("checkClassNames() function from " 
+        + "class/CheckClassArgs.js must be loaded in order to use the " 
+        + "removeCSSClass() function.");
+}
+
+/**
+ * Removes one or more CSS class names from one or more DOM elements, if those 
+ * DOM elements contain any of the CSS class names. The counterpart of the 
+ * addCSSClass() function in class/AddCSSClass.js, which accepts the same kinds 
+ * of arguments and falls back through the same JavaScript APIs, properties, 
+ * and methods: the Element API's "classList" property first, then its 
+ * "className" property, and finally its getAttribute() and setAttribute() 
+ * methods. 
+ * 
+ * @param {Element | HTMLCollection<Element> | NodeList<Element> | 
+ * Array<Element>} elementTarget - Required. 
+ * 
+ * An Element object which will have each CSS class name, contained in the 
+ * "oldClass" parameter's value, removed from its "class" attribute. 
+ * 
+ * Also can be a list data structure with consecutive, integer indices and a 
+ * "length" property containing one or more such Element objects. Such object 
+ * types include: HTMLCollections, NodeLists, and Arrays. Note that such a 
+ * collection does not have to strictly contain Element objects, but 
+ * non-Element entries will not be affected by this function. 
+ * 
+ * @param {string} oldClass - Required. 
+ * 
+ * A non-empty String, which also does not only contain whitespace characters. 
+ * Contains one or more CSS class names, which must be separated from each 
+ * other by whitespace characters, that the function will remove from the 
+ * "elementTarget" parameter's value. Leading and trailing whitespace is 
+ * trimmed from a String entry, and CSS class name entries are split apart by 
+ * whitespace characters into an Array of CSS class name entries. 
+ * 
+ * Also can be an Array of non-empty String entries containing one CSS class 
+ * name each, which are trimmed, split and rid of duplicates the same way as 
+ * for the "newClass" parameter of the addCSSClass() function. 
+ * 
+ * @throws - 
+ * - The TypeError and RangeError exceptions of the checkElementTarget() and 
+ *   checkClassNames() functions from class/CheckClassArgs.js, if an argument 
+ *   is invalid. 
+ * - A ReferenceError exception if no JavaScript functionality for removing 
+ *   CSS class name entries is supported. 
+ * 
+ * @returns {number} - 
+ * An integer containing the number of Element objects from the "elementTarget" 
+ * parameter which had at least one of the CSS class name entries listed in the 
+ * "oldClass" parameter removed from the "class" attribute. 
+ */
+function removeCSSClass(elementTarget, oldClass) {
+
+    /**
+     * Creates a dummy div-type HTML element for testing whether certain 
+     * features are supported by a user's Internet browser. 
+     */
+    var testElement = document.createElement("div");
+
+    /**
+     * Boolean value. Tells whether or not the argument value to the 
+     * "elementTarget" parameter is a list data structure rather than a single 
+     * Element object. 
+     */
+    var hasElementList;
+
+    /**
+     * Checks the arguments passed to the parameters of the parent function, 
+     * and replaces the "oldClass" parameter's value with the resulting Array 
+     * of unique CSS class names. 
+     * 
+     * @throws - 
+     * The exceptions raised by the checkElementTarget() and checkClassNames() 
+     * functions. 
+     */
+    function checkParameters() {
+
+        hasElementList = checkElementTarget(elementTarget);
+        oldClass = checkClassNames(oldClass, 2, "oldClass", true);
+    }
+
+    /**
+     * Records the outcome of the tryMethods() function in the registry of the 
+     * optional polyfill/PolyfillStatus.js file, if it is loaded, under the 
+     * name "removeCSSClass". 
+     * 
+     * @param {string} status - "native", "polyfilled" or "unavailable". 
+     * 
+     * @param {string} tier - The name of the method that was used, if any. 
+     * 
+     * @param {any} result - The result of that method. 
+     * 
+     * @returns {any} - The "result" argument, unchanged 
+     */
+    function recordTier(status, tier, result) {
+
+        if (typeof recordPolyfillStatus === "function") {
+
+            recordPolyfillStatus("removeCSSClass", status, tier);
+        }
+
+        return result;
+    }
+
+    /**
+     * Tries the functions of the parent function for removing the CSS class 
+     * entries, which are contained in the argument to the "oldClass" 
+     * parameter, from the "class" attribute of each of the Element objects in 
+     * the "elementTarget" parameter's value. The latest and fastest 
+     * JavaScript APIs are tried first, and then backup, legacy JavaScript 
+     * properties and methods, if a newer one is not supported. 
+     * 
+     * @throws - 
+     * A ReferenceError exception if none of the JavaScript APIs, properties, 
+     * or methods for changing an Element object's "class" attribute are 
+     * supported. 
+     * 
+     * @returns {number} - 
+     * An integer representing the number of Element objects, contained in the 
+     * "elementTarget" parameter's value, that had at least one of the CSS 
+     * class name entries removed from their "class" attributes. 
+     */
+    function tryMethods() {
+
+        if (supportsClassList()) {
+
+            return recordTier(getClassListStatus(), "classList", 
+                byMethod(byClassListRemove));
+        }
+
+        if (supportsClassName()) {
+
+            return recordTier("polyfilled", "className", 
+                byMethod(byClassNameRemove));
+        }
+
+        if (supportsAttrMethods()) {
+
+            return recordTier("polyfilled", "attribute", 
+                byMethod(byAttributeRemove));
+        }
+
+        recordTier("unavailable");
+        throw new ReferenceError("No JavaScript functionality for removing " 
+            + "CSS class name entries from an Element object's \"class\" " 
+            + "attribute found.");
+    }
+
+    /**
+     * Removes the CSS class entries from the "class" attribute of each of the 
+     * Element objects in the "elementTarget" parameter's value with one of 
+     * the removal functions below. Entries of a list which are not Element 
+     * objects are skipped. 
+     * 
+     * @param {Function} removeFn - The function which implements logic to 
+     * remove a CSS class name entry from an Element object using specific 
+     * JavaScript APIs, properties, or methods. Returns Boolean true if the 
+     * CSS class name entry was removed, and Boolean false if the Element 
+     * object did not contain it. 
+     * 
+     * @returns {number} - 
+     * An integer containing the number of Element objects which had at least 
+     * one CSS class name entry removed from the "class" attribute. 
+     */
+    function byMethod(removeFn) {
+
+        var index, entry, numEdited = 0;
+
+        if (!hasElementList) {
+
+            return removeEachClass(elementTarget, removeFn) ? 1 : 0;
+        }
+
+        for (index = 0; index < elementTarget.length; index++) {
+
+            entry = elementTarget[index];
+
+            if (isClassElement(entry) && removeEachClass(entry, removeFn)) {
+
+                numEdited++;
+            }
+        }
+
+        return numEdited;
+    }
+
+    /**
+     * Removes each CSS class name entry of the "oldClass" parameter's value 
+     * from an Element object's "class" attribute. 
+     * 
+     * @param {Element} elementEntry - The Element object which will have its 
+     * "class" attribute changed. 
+     * @param {Function} removeFn - The function which removes a single CSS 
+     * class name entry. 
+     * 
+     * @returns {number} - 
+     * An integer containing the number of CSS class name entries which were 
+     * removed from the Element object. 
+     */
+    function removeEachClass(elementEntry, removeFn) {
+
+        var index, numRemoved = 0;
+
+        for (index = 0; index < oldClass.length; index++) {
+
+            if (removeFn(elementEntry, oldClass[index])) {
+
+                numRemoved++;
+            }
+        }
+
+        return numRemoved;
+    }
+
+    /**
+     * Removes every occurrence of a CSS class name entry from a "class" 
+     * attribute string value, which is split apart with the splitClassValue() 
+     * function. The remaining entries are joined back together with a single 
+     * ASCII space character, which also cleans up any excess whitespace. 
+     * 
+     * @param {string} classValue - The "class" attribute value to be changed. 
+     * @param {string} cssClass - A whole-word CSS class name, without any 
+     * whitespace characters in it, which will be removed. 
+     * 
+     * @returns {string | null} - 
+     * The new "class" attribute value, or null if the "classValue" parameter's 
+     * value does not contain the "cssClass" parameter's value. 
+     */
+    function removeFromString(classValue, cssClass) {
+
+        var entries = splitClassValue(classValue);
+        var index, kept = [], found = false;
+
+        for (index = 0; index < entries.length; index++) {
+
+            if (entries[index] === cssClass) {
+
+                found = true;
+            }
+            else {
+
+                kept.push(entries[index]);
+            }
+        }
+
+        return found ? kept.join(" ") : null;
+    }
+
+    /**
+     * Checks whether a user's Internet browser supports the Element API's 
+     * "classList" property. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true or false 
+     */
+    function supportsClassList() {
+
+        return !!testElement.classList;
+    }
+
+    /**
+     * Relies on methods of the Element class's DOMTokenList-type "classList" 
+     * property. Uses the contains() method to check whether an Element object 
+     * currently contains a CSS class name entry in its "class" attribute. If 
+     * it does, removes the CSS class name entry from it. 
+     * 
+     * @param {Element} elementEntry - The Element object which will have its 
+     * "class" attribute checked and potentially changed. 
+     * @param {string} cssClass - A whole-word CSS class name, without any 
+     * whitespace characters in it, which will be removed. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true if the CSS class name entry was removed, or Boolean false 
+     * if the Element object did not contain it. 
+     */
+    function byClassListRemove(elementEntry, cssClass) {
+
+        if (!elementEntry.classList.contains(cssClass)) {
+
+            return false;
+        }
+
+        elementEntry.classList.remove(cssClass);
+        return true;
+    }
+
+    /**
+     * Checks whether a user's Internet browser supports the Element API's 
+     * "className" string-type property. 
+     * 
+     * @returns {boolean} Boolean true or false 
+     */
+    function supportsClassName() {
+
+        return typeof testElement.className === "string";
+    }
+
+    /**
+     * Relies on the Element class's string-type "className" property, which 
+     * reflects the value of a DOM element's "class" attribute. Removes a CSS 
+     * class name entry from it with the removeFromString() function, and only 
+     * writes the property if the entry was found. 
+     * 
+     * @param {Element} elementEntry - The Element object which will have its 
+     * "class" attribute checked and potentially changed. 
+     * @param {string} cssClass - A whole-word CSS class name, without any 
+     * whitespace characters in it, which will be removed. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true if the CSS class name entry was removed, or Boolean false 
+     * if the Element object did not contain it. 
+     */
+    function byClassNameRemove(elementEntry, cssClass) {
+
+        var classValue = removeFromString(elementEntry.className, cssClass);
+
+        if (classValue === null) {
+
+            return false;
+        }
+
+        elementEntry.className = classValue;
+        return true;
+    }
+
+    /**
+     * Checks whether a user's Internet browser supports the Element API's 
+     * getAttribute() method for retrieving an attribute's value and 
+     * setAttribute() method for setting an attribute's value. 
+     * 
+     * @returns {boolean} Boolean true or false 
+     */
+    function supportsAttrMethods() {
+
+        return !!(testElement.getAttribute && testElement.setAttribute);
+    }
+
+    /**
+     * Uses the Element class's getAttribute() method to retrieve the value of 
+     * an Element object's "class" attribute, removes a CSS class name entry 
+     * from it with the removeFromString() function, and sets the new value 
+     * with the setAttribute() method if the entry was found. Intended as a 
+     * backup for legacy browsers to the function which uses the "className" 
+     * property. 
+     * 
+     * @param {Element} elementEntry - The Element object which will have its 
+     * "class" attribute value retrieved, searched, and potentially changed. 
+     * @param {string} cssClass - A whole-word CSS class name, without any 
+     * whitespace characters in it, which will be removed. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true if the CSS class name entry was removed, or Boolean false 
+     * if the Element object did not contain it. 
+     */
+    function byAttributeRemove(elementEntry, cssClass) {
+
+        var classValue = removeFromString(elementEntry.getAttribute("class"), 
+            cssClass);
+
+        if (classValue === null) {
+
+            return false;
+        }
+
+        elementEntry.setAttribute("class", classValue);
+        return true;
+    }
+
+    /* Main function execution area */
+    checkParameters();
+    return tryMethods();
+}
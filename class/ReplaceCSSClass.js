@@ -0,0 +1,426 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * The checkElementTarget(), checkClassNames() and splitClassValue() functions 
+ * from class/CheckClassArgs.js check the arguments of the replaceCSSClass() 
+ * function and split apart the "class" attribute values it changes. 
+ */
+if (typeof checkClassNames !== "function") {
+
+    throw new ReferenceError("checkClassNames() function from " 
+        + "class/CheckClassArgs.js must be loaded in order to use the " 
+        + "replaceCSSClass() function.");
+}
+
+/**
+ * Replaces a CSS class name with another one on one or more DOM elements 
+ * which contain it, the same way as the replace() method of the DOMTokenList 
+ * API. Unlike calling the removeCSSClass() and addCSSClass() functions one 
+ * after the other, the "class" attribute of each Element object is only 
+ * written once, so that there is no intermediate state with neither CSS class 
+ * name and only one style recalculation. 
+ * 
+ * The Element API's "classList" property is used if it supports the replace() 
+ * method. Otherwise, this function falls back to the Element API's 
+ * "className" property, and finally to its getAttribute() and setAttribute() 
+ * methods, in the same order as the addCSSClass() function in 
+ * class/AddCSSClass.js. 
+ * 
+ * @param {Element | HTMLCollection<Element> | NodeList<Element> | 
+ * Array<Element>} elementTarget - Required. 
+ * 
+ * An Element object which will have the "oldClass" parameter's CSS class name 
+ * replaced in its "class" attribute. 
+ * 
+ * Also can be a list data structure with consecutive, integer indices and a 
+ * "length" property containing one or more such Element objects. Such object 
+ * types include: HTMLCollections, NodeLists, and Arrays. Note that such a 
+ * collection does not have to strictly contain Element objects, but 
+ * non-Element entries will not be affected by this function. 
+ * 
+ * @param {string} oldClass - Required. 
+ * 
+ * A String containing exactly one CSS class name, which will be replaced. 
+ * Leading and trailing whitespace is trimmed. 
+ * 
+ * @param {string} newClass - Required. 
+ * 
+ * A String containing exactly one CSS class name, which will take the place 
+ * of the "oldClass" parameter's CSS class name. If an Element object already 
+ * contains it, the "oldClass" parameter's CSS class name is only removed. 
+ * 
+ * @throws - 
+ * - The TypeError and RangeError exceptions of the checkElementTarget() and 
+ *   checkClassNames() functions from class/CheckClassArgs.js, if an argument 
+ *   is invalid. 
+ * - A RangeError exception if the "oldClass" or "newClass" parameter's 
+ *   argument does not contain exactly one CSS class name. 
+ * - A ReferenceError exception if no JavaScript functionality for replacing 
+ *   CSS class name entries is supported. 
+ * 
+ * @returns {Array<boolean | null>} - 
+ * An Array with one entry for each Element object, in the same order as in 
+ * the "elementTarget" parameter's value. Each entry is Boolean true if the 
+ * Element object contained the "oldClass" parameter's CSS class name, and was 
+ * thus changed, and Boolean false otherwise. For a list argument, entries 
+ * which are not Element objects are given a null entry instead, so that the 
+ * indices of both lists match. A Boolean value is enough, as with the 
+ * DOMTokenList replace() method, since exactly one CSS class name is replaced, 
+ * while the toggleCSSClass() function returns an object per Element object 
+ * with one outcome for each of its CSS class names. 
+ */
+function replaceCSSClass(elementTarget, oldClass, newClass) {
+
+    /**
+     * Creates a dummy div-type HTML element for testing whether certain 
+     * features are supported by a user's Internet browser. 
+     */
+    var testElement = document.createElement("div");
+
+    /**
+     * Boolean value. Tells whether or not the argument value to the 
+     * "elementTarget" parameter is a list data structure rather than a single 
+     * Element object. 
+     */
+    var hasElementList;
+
+    /**
+     * Checks the arguments passed to the parameters of the parent function, 
+     * and replaces the "oldClass" and "newClass" parameters' values with 
+     * their whitespace-trimmed CSS class names. 
+     * 
+     * @throws - 
+     * - The exceptions raised by the checkElementTarget() function and the 
+     *   checkSingleClass() function below. 
+     */
+    function checkParameters() {
+
+        hasElementList = checkElementTarget(elementTarget);
+        oldClass = checkSingleClass(oldClass, 2, "oldClass");
+        newClass = checkSingleClass(newClass, 3, "newClass");
+    }
+
+    /**
+     * Checks an argument value passed to the "oldClass" or "newClass" 
+     * parameter of the parent function with the checkClassNames() function, 
+     * and whether it contains exactly one CSS class name, since the parent 
+     * function replaces a single CSS class name entry with another one, the 
+     * same way as the replace() method of the DOMTokenList API. 
+     * 
+     * @param {string | Array<string>} argValue - the argument value to be 
+     * checked 
+     * @param {number} paramNum - The number of the parameter to which 
+     * "argValue" was passed in the order of the parent function definition. 
+     * @param {string} paramName - The name of the parameter to which 
+     * "argValue" was passed in the parent function definition. 
+     * 
+     * @throws - 
+     * - The exceptions raised by the checkClassNames() function. 
+     * - A RangeError exception if "argValue" contains more than one CSS class 
+     *   name. 
+     * 
+     * @returns {string} - The whitespace-trimmed CSS class name 
+     */
+    function checkSingleClass(argValue, paramNum, paramName) {
+
+        var classArray = checkClassNames(argValue, paramNum, paramName, true);
+        var error;
+
+        if (classArray.length !== 1) {
+
+            error = new RangeError("Parameter " + paramNum + ", \"" 
+                + paramName + "\", must contain exactly one CSS class name.");
+            error.message += logClassArgError(error, argValue);
+            throw error;
+        }
+
+        return classArray[0];
+    }
+
+    /**
+     * Records the outcome of the tryMethods() function in the registry of the 
+     * optional polyfill/PolyfillStatus.js file, if it is loaded, under the 
+     * name "replaceCSSClass". 
+     * 
+     * @param {string} status - "native", "polyfilled" or "unavailable". 
+     * 
+     * @param {string} tier - The name of the method that was used, if any. 
+     * 
+     * @param {any} result - The result of that method. 
+     * 
+     * @returns {any} - The "result" argument, unchanged 
+     */
+    function recordTier(status, tier, result) {
+
+        if (typeof recordPolyfillStatus === "function") {
+
+            recordPolyfillStatus("replaceCSSClass", status, tier);
+        }
+
+        return result;
+    }
+
+    /**
+     * Tries the functions of the parent function for replacing the CSS class 
+     * name of the "oldClass" parameter with the one of the "newClass" 
+     * parameter in the "class" attribute of each of the Element objects in 
+     * the "elementTarget" parameter's value. The latest and fastest 
+     * JavaScript APIs are tried first, and then backup, legacy JavaScript 
+     * properties and methods, if a newer one is not supported. 
+     * 
+     * @throws - 
+     * A ReferenceError exception if none of the JavaScript APIs, properties, 
+     * or methods for changing an Element object's "class" attribute are 
+     * supported. 
+     * 
+     * @returns {Array<boolean | null>} - 
+     * The results of the replacement for each entry of the "elementTarget" 
+     * parameter's value. 
+     */
+    function tryMethods() {
+
+        if (supportsClassListReplace()) {
+
+            return recordTier(getClassListStatus(), "classList", 
+                byMethod(byClassListReplace));
+        }
+
+        if (supportsClassName()) {
+
+            return recordTier("polyfilled", "className", 
+                byMethod(byClassNameReplace));
+        }
+
+        if (supportsAttrMethods()) {
+
+            return recordTier("polyfilled", "attribute", 
+                byMethod(byAttributeReplace));
+        }
+
+        recordTier("unavailable");
+        throw new ReferenceError("No JavaScript functionality for replacing " 
+            + "CSS class name entries in an Element object's \"class\" " 
+            + "attribute found.");
+    }
+
+    /**
+     * Replaces the CSS class name in the "class" attribute of each of the 
+     * Element objects in the "elementTarget" parameter's value with one of 
+     * the replacement functions below. 
+     * 
+     * @param {Function} replaceFn - The function which implements logic to 
+     * replace the CSS class name for one Element object using specific 
+     * JavaScript APIs, properties, or methods. Returns Boolean true if the 
+     * Element object contained the "oldClass" parameter's CSS class name, and 
+     * Boolean false otherwise. 
+     * 
+     * @returns {Array<boolean | null>} - 
+     * An Array of results, as described for the parent function. 
+     */
+    function byMethod(replaceFn) {
+
+        var index, entry, results = [];
+
+        if (!hasElementList) {
+
+            results.push(replaceFn(elementTarget));
+            return results;
+        }
+
+        for (index = 0; index < elementTarget.length; index++) {
+
+            entry = elementTarget[index];
+            results.push(isClassElement(entry) ? replaceFn(entry) : null);
+        }
+
+        return results;
+    }
+
+    /**
+     * Replaces the CSS class name of the parent function's "oldClass" 
+     * parameter in a "class" attribute string value. The value is split apart 
+     * with the splitClassValue() function and compared entry by entry, the 
+     * same way as in the removeCSSClass() function of class/RemoveCSSClass.js. 
+     * Like the DOMTokenList replace() method, the first entry of either CSS 
+     * class name is replaced with the "newClass" parameter's value, and any 
+     * further entries of either are removed. 
+     * 
+     * @param {string} classValue - The "class" attribute value to be changed. 
+     * 
+     * @returns {string | null} - 
+     * The new "class" attribute value, joined with single ASCII space 
+     * characters, or null if the "classValue" parameter's value does not 
+     * contain the "oldClass" parameter's CSS class name. 
+     */
+    function replaceInString(classValue) {
+
+        var entries = splitClassValue(classValue);
+        var index, entry, kept = [], found = false, placed = false;
+
+        for (index = 0; index < entries.length; index++) {
+
+            if (entries[index] === oldClass) {
+
+                found = true;
+                break;
+            }
+        }
+
+        if (!found) {
+
+            return null;
+        }
+
+        for (index = 0; index < entries.length; index++) {
+
+            entry = entries[index];
+
+            if (entry !== oldClass && entry !== newClass) {
+
+                kept.push(entry);
+            }
+            else if (!placed) {
+
+                kept.push(newClass);
+                placed = true;
+            }
+        }
+
+        return kept.join(" ");
+    }
+
+    /**
+     * Checks whether a user's Internet browser supports the Element API's 
+     * "classList" property and its replace() method, which some browsers 
+     * with "classList" support, such as Internet Explorer 10 and 11, lack. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true or false 
+     */
+    function supportsClassListReplace() {
+
+        return !!(testElement.classList 
+            && typeof testElement.classList.replace === "function");
+    }
+
+    /**
+     * Relies on methods of the Element class's DOMTokenList-type "classList" 
+     * property. Uses the contains() method to check whether an Element object 
+     * contains the "oldClass" parameter's CSS class name, since older 
+     * Internet browsers do not return a Boolean value from the replace() 
+     * method, and then the replace() method to replace it in one step. 
+     * 
+     * @param {Element} elementEntry - The Element object which will have its 
+     * "class" attribute checked and potentially changed. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true if the CSS class name was replaced, or Boolean false if 
+     * the Element object did not contain it. 
+     */
+    function byClassListReplace(elementEntry) {
+
+        if (!elementEntry.classList.contains(oldClass)) {
+
+            return false;
+        }
+
+        elementEntry.classList.replace(oldClass, newClass);
+        return true;
+    }
+
+    /**
+     * Checks whether a user's Internet browser supports the Element API's 
+     * "className" string-type property. 
+     * 
+     * @returns {boolean} Boolean true or false 
+     */
+    function supportsClassName() {
+
+        return typeof testElement.className === "string";
+    }
+
+    /**
+     * Relies on the Element class's string-type "className" property, which 
+     * reflects the value of a DOM element's "class" attribute. Replaces the 
+     * CSS class name with the replaceInString() function, and only writes the 
+     * property if the "oldClass" parameter's CSS class name was found. 
+     * 
+     * @param {Element} elementEntry - The Element object which will have its 
+     * "class" attribute checked and potentially changed. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true if the CSS class name was replaced, or Boolean false if 
+     * the Element object did not contain it. 
+     */
+    function byClassNameReplace(elementEntry) {
+
+        var classValue = replaceInString(elementEntry.className);
+
+        if (classValue === null) {
+
+            return false;
+        }
+
+        elementEntry.className = classValue;
+        return true;
+    }
+
+    /**
+     * Checks whether a user's Internet browser supports the Element API's 
+     * getAttribute() method for retrieving an attribute's value and 
+     * setAttribute() method for setting an attribute's value. 
+     * 
+     * @returns {boolean} Boolean true or false 
+     */
+    function supportsAttrMethods() {
+
+        return !!(testElement.getAttribute && testElement.setAttribute);
+    }
+
+    /**
+     * Uses the Element class's getAttribute() method to retrieve the value of 
+     * an Element object's "class" attribute, replaces the CSS class name with 
+     * the replaceInString() function, and sets the new value with the 
+     * setAttribute() method if the "oldClass" parameter's CSS class name was 
+     * found. Intended as a backup for legacy browsers to the function which 
+     * uses the "className" property. 
+     * 
+     * @param {Element} elementEntry - The Element object which will have its 
+     * "class" attribute value retrieved, searched, and potentially changed. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true if the CSS class name was replaced, or Boolean false if 
+     * the Element object did not contain it. 
+     */
+    function byAttributeReplace(elementEntry) {
+
+        var classValue = replaceInString(elementEntry.getAttribute("class"));
+
+        if (classValue === null) {
+
+            return false;
+        }
+
+        elementEntry.setAttribute("class", classValue);
+        return true;
+    }
+
+    /* Main function execution area */
+    checkParameters();
+    return tryMethods();
+}
@@ -0,0 +1,440 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * The checkElementTarget(), checkClassNames() and splitClassValue() functions 
+ * from class/CheckClassArgs.js check the arguments of the toggleCSSClass() 
+ * function and split apart the "class" attribute values it changes. 
+ */
+if (typeof checkClassNames !== "function") {
+
+    throw new ReferenceError("checkClassNames() function from " 
+        + "class/CheckClassArgs.js must be loaded in order to use the " 
+        + "toggleCSSClass() function.");
+}
+
+/**
+ * Toggles one or more CSS class names on one or more DOM elements: each CSS 
+ * class name is removed from an Element object's "class" attribute if it is 
+ * present, and added to it otherwise. Like the toggle() method of the 
+ * DOMTokenList API, an optional "force" argument turns this into a one-way 
+ * operation which only adds or only removes the CSS class names. 
+ * 
+ * The Element API's "classList" property is used if it is supported. 
+ * Otherwise, this function falls back to the Element API's "className" 
+ * property, and finally to its getAttribute() and setAttribute() methods, in 
+ * the same order as the addCSSClass() function in class/AddCSSClass.js. The 
+ * force argument is applied by this function itself rather than passed to the 
+ * classList toggle() method, since Internet Explorer 10 and 11 ignore it. 
+ * 
+ * @param {Element | HTMLCollection<Element> | NodeList<Element> | 
+ * Array<Element>} elementTarget - Required. 
+ * 
+ * An Element object which will have each CSS class name, contained in the 
+ * "toggleClass" parameter's value, toggled in its "class" attribute. 
+ * 
+ * Also can be a list data structure with consecutive, integer indices and a 
+ * "length" property containing one or more such Element objects. Such object 
+ * types include: HTMLCollections, NodeLists, and Arrays. Note that such a 
+ * collection does not have to strictly contain Element objects, but 
+ * non-Element entries will not be affected by this function. 
+ * 
+ * @param {string | Array<string>} toggleClass - Required. 
+ * 
+ * A non-empty String containing one or more CSS class names separated by 
+ * whitespace characters, or an Array of non-empty String entries, which are 
+ * trimmed, split and rid of duplicates the same way as for the "newClass" 
+ * parameter of the addCSSClass() function. 
+ * 
+ * @param {boolean} force - Optional. 
+ * 
+ * If Boolean true, each CSS class name is only added; if Boolean false, each 
+ * CSS class name is only removed. If undefined, each CSS class name is 
+ * toggled. 
+ * 
+ * @throws - 
+ * - The TypeError and RangeError exceptions of the checkElementTarget() and 
+ *   checkClassNames() functions from class/CheckClassArgs.js, if the 
+ *   "elementTarget" or "toggleClass" argument is invalid. 
+ * - A TypeError exception if the "force" parameter's argument is neither 
+ *   undefined nor a Boolean value. 
+ * - A ReferenceError exception if no JavaScript functionality for toggling 
+ *   CSS class name entries is supported. 
+ * 
+ * @returns {Array<Object | null>} - 
+ * An Array with one entry for each Element object, in the same order as in 
+ * the "elementTarget" parameter's value. Each entry is an object with one 
+ * property per CSS class name of the "toggleClass" parameter, whose value is 
+ * Boolean true if the CSS class name ended up present in the Element object's 
+ * "class" attribute and Boolean false otherwise. For a list argument, entries 
+ * which are not Element objects are given a null entry instead, so that the 
+ * indices of both lists match. Unlike the Boolean entries returned by the 
+ * replaceCSSClass() function, which always changes a single CSS class name, 
+ * each entry is an object, since several CSS class names can be toggled at 
+ * once, each with its own outcome. 
+ */
+function toggleCSSClass(elementTarget, toggleClass, force) {
+
+    /**
+     * Creates a dummy div-type HTML element for testing whether certain 
+     * features are supported by a user's Internet browser. 
+     */
+    var testElement = document.createElement("div");
+
+    /**
+     * Boolean value. Tells whether or not the argument value to the 
+     * "elementTarget" parameter is a list data structure rather than a single 
+     * Element object. 
+     */
+    var hasElementList;
+
+    /**
+     * Checks the arguments passed to the parameters of the parent function, 
+     * and replaces the "toggleClass" parameter's value with the resulting 
+     * Array of unique CSS class names. 
+     * 
+     * @throws - 
+     * - The exceptions raised by the checkElementTarget() and 
+     *   checkClassNames() functions. 
+     * - A TypeError exception if the "force" parameter's argument is neither 
+     *   undefined nor a Boolean value. 
+     */
+    function checkParameters() {
+
+        var error;
+
+        hasElementList = checkElementTarget(elementTarget);
+
+        if (typeof force !== "undefined" && typeof force !== "boolean") {
+
+            error = new TypeError("Parameter 3, \"force\", must either be " 
+                + "undefined or a Boolean value.");
+            error.message += logClassArgError(error, force);
+            throw error;
+        }
+
+        toggleClass = checkClassNames(toggleClass, 2, "toggleClass", true);
+    }
+
+    /**
+     * Records the outcome of the tryMethods() function in the registry of the 
+     * optional polyfill/PolyfillStatus.js file, if it is loaded, under the 
+     * name "toggleCSSClass". 
+     * 
+     * @param {string} status - "native", "polyfilled" or "unavailable". 
+     * 
+     * @param {string} tier - The name of the method that was used, if any. 
+     * 
+     * @param {any} result - The result of that method. 
+     * 
+     * @returns {any} - The "result" argument, unchanged 
+     */
+    function recordTier(status, tier, result) {
+
+        if (typeof recordPolyfillStatus === "function") {
+
+            recordPolyfillStatus("toggleCSSClass", status, tier);
+        }
+
+        return result;
+    }
+
+    /**
+     * Tries the functions of the parent function for toggling the CSS class 
+     * entries, which are contained in the argument to the "toggleClass" 
+     * parameter, in the "class" attribute of each of the Element objects in 
+     * the "elementTarget" parameter's value. The latest and fastest 
+     * JavaScript APIs are tried first, and then backup, legacy JavaScript 
+     * properties and methods, if a newer one is not supported. 
+     * 
+     * @throws - 
+     * A ReferenceError exception if none of the JavaScript APIs, properties, 
+     * or methods for changing an Element object's "class" attribute are 
+     * supported. 
+     * 
+     * @returns {Array<Object | null>} - 
+     * The results of toggling the CSS class name entries for each entry of the 
+     * "elementTarget" parameter's value. 
+     */
+    function tryMethods() {
+
+        if (supportsClassList()) {
+
+            return recordTier(getClassListStatus(), "classList", 
+                byMethod(byClassListToggle));
+        }
+
+        if (supportsClassName()) {
+
+            return recordTier("polyfilled", "className", 
+                byMethod(byClassNameToggle));
+        }
+
+        if (supportsAttrMethods()) {
+
+            return recordTier("polyfilled", "attribute", 
+                byMethod(byAttributeToggle));
+        }
+
+        recordTier("unavailable");
+        throw new ReferenceError("No JavaScript functionality for toggling " 
+            + "CSS class name entries in an Element object's \"class\" " 
+            + "attribute found.");
+    }
+
+    /**
+     * Toggles the CSS class entries in the "class" attribute of each of the 
+     * Element objects in the "elementTarget" parameter's value with one of 
+     * the toggle functions below. 
+     * 
+     * @param {Function} toggleFn - The function which implements logic to 
+     * toggle all of the CSS class name entries for one Element object using 
+     * specific JavaScript APIs, properties, or methods. Returns the result 
+     * object for the Element object. 
+     * 
+     * @returns {Array<Object | null>} - 
+     * An Array of result objects, as described for the parent function. 
+     */
+    function byMethod(toggleFn) {
+
+        var index, entry, results = [];
+
+        if (!hasElementList) {
+
+            results.push(toggleFn(elementTarget));
+            return results;
+        }
+
+        for (index = 0; index < elementTarget.length; index++) {
+
+            entry = elementTarget[index];
+            results.push(isClassElement(entry) ? toggleFn(entry) : null);
+        }
+
+        return results;
+    }
+
+    /**
+     * Creates an empty result object for an Element object. The object does 
+     * not inherit from Object.prototype where Object.create() is supported, 
+     * so that a CSS class name such as "__proto__" or "constructor" is stored 
+     * as an own property of it like any other. 
+     * 
+     * @returns {Object} - An empty object 
+     */
+    function createResult() {
+
+        return typeof Object.create === "function" ? Object.create(null) : {};
+    }
+
+    /**
+     * Decides whether a CSS class name entry should be present in an Element 
+     * object's "class" attribute after it has been toggled, depending on the 
+     * parent function's "force" parameter. 
+     * 
+     * @param {boolean} present - Whether the CSS class name entry is currently 
+     * present in the "class" attribute. 
+     * 
+     * @returns {boolean} - 
+     * The value of the "force" parameter, if it is a Boolean value, or the 
+     * opposite of the "present" parameter's value otherwise. 
+     */
+    function getNewState(present) {
+
+        return typeof force === "boolean" ? force : !present;
+    }
+
+    /**
+     * Toggles each CSS class name entry of the parent function's 
+     * "toggleClass" parameter in a "class" attribute string value. The value 
+     * is split apart with the splitClassValue() function and compared entry 
+     * by entry, the same way as in the removeCSSClass() function of 
+     * class/RemoveCSSClass.js, and joined back together with a single ASCII 
+     * space character, so that the "class" attribute only has to be written 
+     * once for all of the CSS class name entries. Entries which stay present 
+     * keep their positions, and added entries are appended at the end, in the 
+     * same order as with the classList toggle() method. 
+     * 
+     * @param {string} classValue - The "class" attribute value to be changed. 
+     * @param {Object} result - The result object for the Element object, 
+     * which will have one property set for each CSS class name entry. 
+     * 
+     * @returns {string | null} - 
+     * The new "class" attribute value, or null if it does not change. 
+     */
+    function toggleInString(classValue, result) {
+
+        var entries = splitClassValue(classValue);
+        var index, entryIndex, cssClass, present, kept, changed = false;
+
+        for (index = 0; index < toggleClass.length; index++) {
+
+            cssClass = toggleClass[index];
+            kept = [];
+
+            for (entryIndex = 0; entryIndex < entries.length; entryIndex++) {
+
+                if (entries[entryIndex] !== cssClass) {
+
+                    kept.push(entries[entryIndex]);
+                }
+            }
+
+            present = kept.length !== entries.length;
+            result[cssClass] = getNewState(present);
+
+            if (present !== result[cssClass]) {
+
+                if (result[cssClass]) {
+
+                    entries.push(cssClass);
+                }
+                else {
+
+                    entries = kept;
+                }
+
+                changed = true;
+            }
+        }
+
+        return changed ? entries.join(" ") : null;
+    }
+
+    /**
+     * Checks whether a user's Internet browser supports the Element API's 
+     * "classList" property. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true or false 
+     */
+    function supportsClassList() {
+
+        return !!testElement.classList;
+    }
+
+    /**
+     * Relies on methods of the Element class's DOMTokenList-type "classList" 
+     * property. Uses the contains() method to check whether an Element object 
+     * currently contains each CSS class name entry, then the add() or 
+     * remove() method to change it if necessary. 
+     * 
+     * @param {Element} elementEntry - The Element object which will have its 
+     * "class" attribute toggled. 
+     * 
+     * @returns {Object} - The result object for the Element object 
+     */
+    function byClassListToggle(elementEntry) {
+
+        var index, cssClass, present, result = createResult();
+
+        for (index = 0; index < toggleClass.length; index++) {
+
+            cssClass = toggleClass[index];
+            present = elementEntry.classList.contains(cssClass);
+            result[cssClass] = getNewState(present);
+
+            if (result[cssClass] && !present) {
+
+                elementEntry.classList.add(cssClass);
+            }
+            else if (!result[cssClass] && present) {
+
+                elementEntry.classList.remove(cssClass);
+            }
+        }
+
+        return result;
+    }
+
+    /**
+     * Checks whether a user's Internet browser supports the Element API's 
+     * "className" string-type property. 
+     * 
+     * @returns {boolean} Boolean true or false 
+     */
+    function supportsClassName() {
+
+        return typeof testElement.className === "string";
+    }
+
+    /**
+     * Relies on the Element class's string-type "className" property, which 
+     * reflects the value of a DOM element's "class" attribute. Toggles the CSS 
+     * class name entries with the toggleInString() function, and only writes 
+     * the property if it changes. 
+     * 
+     * @param {Element} elementEntry - The Element object which will have its 
+     * "class" attribute toggled. 
+     * 
+     * @returns {Object} - The result object for the Element object 
+     */
+    function byClassNameToggle(elementEntry) {
+
+        var result = createResult();
+        var classValue = toggleInString(elementEntry.className, result);
+
+        if (classValue !== null) {
+
+            elementEntry.className = classValue;
+        }
+
+        return result;
+    }
+
+    /**
+     * Checks whether a user's Internet browser supports the Element API's 
+     * getAttribute() method for retrieving an attribute's value and 
+     * setAttribute() method for setting an attribute's value. 
+     * 
+     * @returns {boolean} Boolean true or false 
+     */
+    function supportsAttrMethods() {
+
+        return !!(testElement.getAttribute && testElement.setAttribute);
+    }
+
+    /**
+     * Uses the Element class's getAttribute() method to retrieve the value of 
+     * an Element object's "class" attribute, toggles the CSS class name 
+     * entries with the toggleInString() function, and sets the new value with 
+     * the setAttribute() method if it changes. Intended as a backup for legacy 
+     * browsers to the function which uses the "className" property. 
+     * 
+     * @param {Element} elementEntry - The Element object which will have its 
+     * "class" attribute toggled. 
+     * 
+     * @returns {Object} - The result object for the Element object 
+     */
+    function byAttributeToggle(elementEntry) {
+
+        var result = createResult();
+        var classValue = toggleInString(elementEntry.getAttribute("class"), 
+            result);
+
+        if (classValue !== null) {
+
+            elementEntry.setAttribute("class", classValue);
+        }
+
+        return result;
+    }
+
+    /* Main function execution area */
+    checkParameters();
+    return tryMethods();
+}
@@ -22,7 +22,9 @@
  * 
  * @param {object} options - 
  * Optional object with key-value pair properties for modifying function 
- * behavior. Possible values are: 
+ * behavior. Properties which are not specified are set to their default 
+ * values with the objectAssignPolyfill() function from object/Assign.js, which 
+ * must be loaded before this function is called. Possible values are: 
  * 
  * - "container": Specifies a Node object which will have Comment Nodes inside 
  *   of its DOM structure retrieved. Possible Node types include Document, 
@@ -95,24 +97,34 @@ function getAllComments(options) {
      * reference object by default. 
      * 
      * @throws - 
+     * - ReferenceError exception if the objectAssignPolyfill() function is not 
+     *   loaded. 
      * - TypeError exception if the value passed to the "options" parameter is 
      *   neither undefined nor an object or if it is null. 
      */
     this.checkOptions = function() {
 
-        if (typeof options === "undefined") {
+        if (typeof objectAssignPolyfill !== "function") {
 
-            container = document;
-            return;
+            throw new ReferenceError("objectAssignPolyfill() function must " 
+                + "be loaded in order to apply the default options of the " 
+                + "getAllComments() function.");
         }
 
-        if (typeof options !== "object" || !options) {
+        if (typeof options !== "undefined" 
+            && (typeof options !== "object" || !options)) {
 
             throw new TypeError("The value passed to the \"options\" " 
                 + "parameter must be a non-null object with optional " 
                 + "key-value properties.");
         }
 
+        options = objectAssignPolyfill({ 
+            container: document, 
+            caseSensitive: false, 
+            wholeWord: false 
+        }, [options]);
+
         this.checkContOption();
         this.checkSearchOption();
     }
@@ -289,6 +301,29 @@ function getAllComments(options) {
             + "getting the text inside of a Comment node.");
     }
 
+    /**
+     * Records the outcome of the tryMethods() method in the registry of the 
+     * optional polyfill/PolyfillStatus.js file, if it is loaded, under the 
+     * name "getAllComments". 
+     * 
+     * @param {string} status - "native", "polyfilled" or "unavailable". 
+     * 
+     * @param {string} tier - The name of the method that was used, if any. 
+     * 
+     * @param {any} result - The result of that method. 
+     * 
+     * @returns {any} - The "result" argument, unchanged 
+     */
+    this.recordTier = function(status, tier, result) {
+
+        if (typeof recordPolyfillStatus === "function") {
+
+            recordPolyfillStatus("getAllComments", status, tier);
+        }
+
+        return result;
+    }
+
     /**
      * Tries the various methods implemented in the parent function for finding 
      * matching Comment Nodes inside of the containing Node object's DOM 
@@ -308,23 +343,24 @@ function getAllComments(options) {
 
         if (result !== null) {
 
-            return result;
+            return this.recordTier("native", "treeWalker", result);
         }
 
         result = this.bySibling();
 
         if (result !== null) {
 
-            return result;
+            return this.recordTier("polyfilled", "sibling", result);
         }
 
         result = this.byChildNodes();
         
         if (result !== null) {
 
-            return result;
+            return this.recordTier("polyfilled", "childNodes", result);
         }
 
+        this.recordTier("unavailable");
         throw new ReferenceError("No JavaScript functionality found for " 
             + "getting Comment Nodes.");
     }
@@ -0,0 +1,152 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Map 
+ * class's static groupBy() method for Internet browsers that support the Map 
+ * class, but not its groupBy() method. 
+ * 
+ * Unlike the Object groupBy() polyfill function in object/GroupBy.js, the 
+ * group keys are not converted to strings, so entries can be grouped by 
+ * objects, e.g. grouping Elements by their parent nodes. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Map groupBy() method: 
+ * "The Map.groupBy() static method groups the elements of a given iterable 
+ * using the values returned by a provided callback function. The final 
+ * returned Map uses the unique values from the test function as keys, which 
+ * can be used to get the array of elements in each group." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Map class's groupBy() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Map/groupBy
+ * 
+ * This function depends on the arrayFromPolyfill() function from 
+ * array/From.js, which collects the entries of the "items" argument. 
+ * 
+ * @param { object | string } items - Required parameter. An iterable or 
+ * Array-like object whose entries will be grouped. Accepts the same values 
+ * as the "items" parameter of the arrayFromPolyfill() function. A valid 
+ * argument must not be undefined or null. 
+ * 
+ * @param { Function } callbackFn - Required parameter. From MDN: 
+ * "A function to execute for each element in the iterable. It should return a 
+ * value (object or primitive) indicating the group of the current element." 
+ * The function is called with the current entry and its index. 
+ * 
+ * @throws - 
+ * - A ReferenceError exception if the current Internet browser does not 
+ *   support the Map class, which cannot be substituted by a plain object 
+ *   without losing the keys' identities, or if the arrayFromPolyfill() 
+ *   function is not loaded. 
+ * - A TypeError exception if the argument to the "items" parameter is 
+ *   undefined or null, or if the argument to the "callbackFn" parameter is 
+ *   not a function. 
+ * 
+ * @returns { Map } - 
+ * A new Map with an entry for each group key, in the order in which the keys 
+ * were first returned. Each entry's value is an Array of the entries in the 
+ * group. 
+ */
+function mapGroupByPolyfill(items, callbackFn) {
+
+    /**
+     * Checks whether the Map class is supported, whether the 
+     * arrayFromPolyfill() function is loaded, and whether the "callbackFn" 
+     * argument is a function. 
+     * 
+     * @throws - 
+     * A ReferenceError or TypeError exception as described above. 
+     */
+    function checkParams() {
+
+        if (typeof Map !== "function") {
+
+            throw new ReferenceError("The Map class must be supported by the " 
+                + "current Internet browser in order to group entries with " 
+                + "the Map groupBy() polyfill. Use the Object groupBy() " 
+                + "polyfill for string keys instead.");
+        }
+
+        if (typeof arrayFromPolyfill !== "function") {
+
+            throw new ReferenceError("arrayFromPolyfill() function must be " 
+                + "loaded in order to group the entries of parameter " 
+                + "\"items\".");
+        }
+
+        if (typeof callbackFn !== "function") {
+
+            throw new TypeError("Parameter \"callbackFn\" must be a " 
+                + "function.");
+        }
+    }
+
+    /**
+     * Passes each entry of the "items" argument to the "callbackFn" argument 
+     * and adds it to the group with the returned key. 
+     * 
+     * @returns { Map } - The Map holding the groups 
+     */
+    function groupEntries() {
+
+        var entries = arrayFromPolyfill(items), groups = new Map();
+        var index, key;
+
+        for (index = 0; index < entries.length; index++) {
+
+            key = callbackFn(entries[index], index);
+
+            if (groups.has(key)) {
+
+                groups.get(key).push(entries[index]);
+            }
+            else {
+
+                groups.set(key, [entries[index]]);
+            }
+        }
+
+        return groups;
+    }
+
+    /* Main function execution area */
+    checkParams();
+    return groupEntries();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Map class. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Map groupBy() polyfill.");
+}
+
+/* If the current Internet browser supports the Map class, but not its static 
+ groupBy() method, install a non-enumerable groupBy() method on the Map class 
+ itself which calls the polyfill function defined above. Without the Map 
+ class, nothing is installed, and calling the mapGroupByPolyfill() function 
+ directly throws a ReferenceError exception. */
+if (typeof Map === "function") {
+
+    installPolyfill(Map, "groupBy", function(items, callbackFn) {
+
+        return mapGroupByPolyfill(items, callbackFn);
+    }, "mapGroupBy");
+}
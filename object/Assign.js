@@ -0,0 +1,177 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Object 
+ * class's static assign() method for Internet browsers that do not support 
+ * it. 
+ * 
+ * ScriptJelly functions with an "options" parameter, such as replaceNode(), 
+ * getAllComments() and getRootNodePolyfill(), use this function to copy the 
+ * user's options over an object of default options, so that properties 
+ * which are not specified fall back to their default values. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Object assign() method: 
+ * "The Object.assign() static method copies all enumerable own properties 
+ * from one or more source objects to a target object. It returns the modified 
+ * target object." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Object class's assign() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/assign
+ * 
+ * This function depends on the objectKeysPolyfill() function from 
+ * object/Keys.js, which lists the properties to be copied, including the 
+ * ones hidden by the "DontEnum" bug of legacy Internet Explorer versions. 
+ * 
+ * Like the native method, the properties are copied by assignment, so a 
+ * source property named "__proto__" changes the prototype of a plain target 
+ * object instead of creating an own property with that name. 
+ * 
+ * @param { object } target - Required parameter. The object which the 
+ * properties are copied to. Primitive values are converted to objects. A 
+ * valid argument must not be undefined or null. 
+ * 
+ * @param { Array<object> } sources - Optional parameter. A list of the 
+ * objects whose own enumerable properties are copied, in order, so that 
+ * later sources override earlier ones. Usually, when the assign() polyfill 
+ * parent method is called, this contains every argument passed to it after 
+ * the "target" argument. Undefined and null sources are skipped. 
+ * 
+ * @throws - 
+ * - A ReferenceError exception if the objectKeysPolyfill() function is not 
+ *   loaded. 
+ * - A TypeError exception if the argument to the "target" parameter is 
+ *   undefined or null. 
+ * 
+ * @returns { object } - The "target" argument, with the copied properties. 
+ */
+function objectAssignPolyfill(target, sources) {
+
+    /**
+     * Checks whether the objectKeysPolyfill() function is loaded, and whether 
+     * the "target" argument is neither undefined nor null. 
+     * 
+     * @throws - 
+     * A ReferenceError or TypeError exception as described above. 
+     */
+    function checkParams() {
+
+        if (typeof objectKeysPolyfill !== "function") {
+
+            throw new ReferenceError("objectKeysPolyfill() function must be " 
+                + "loaded in order to use the Object assign() polyfill.");
+        }
+
+        if (typeof target === "undefined" || target === null) {
+
+            throw new TypeError("Parameter \"target\" must not be null or " 
+                + "undefined.");
+        }
+
+        target = Object(target);
+    }
+
+    /**
+     * Lists the own enumerable Symbol properties of a source object, if the 
+     * current Internet browser supports them. 
+     * 
+     * @param { object } source - The source object. 
+     * 
+     * @returns { Array<symbol> } - The Symbol property keys 
+     */
+    function getSymbolKeys(source) {
+
+        var symbols, index, keys = [];
+
+        if (typeof Object.getOwnPropertySymbols !== "function" 
+            || typeof source !== "object") {
+
+            return keys;
+        }
+
+        symbols = Object.getOwnPropertySymbols(source);
+
+        for (index = 0; index < symbols.length; index++) {
+
+            if (Object.prototype.propertyIsEnumerable.call(source, 
+                symbols[index])) {
+
+                keys.push(symbols[index]);
+            }
+        }
+
+        return keys;
+    }
+
+    /**
+     * Copies the own enumerable properties of a source to the "target" 
+     * argument. The characters of a string primitive source are read with 
+     * the String charAt() method for ES3 Internet browsers. 
+     * 
+     * @param { any } source - The source value. 
+     */
+    function copyProperties(source) {
+
+        var keys, index;
+
+        if (typeof source === "undefined" || source === null) {
+
+            return;
+        }
+
+        keys = objectKeysPolyfill(source).concat(getSymbolKeys(source));
+
+        for (index = 0; index < keys.length; index++) {
+
+            target[ keys[index] ] = typeof source === "string" 
+                ? source.charAt(keys[index]) : source[ keys[index] ];
+        }
+    }
+
+    /* Main function execution area */
+    checkParams();
+
+    var index;
+
+    for (index = 0; sources && index < sources.length; index++) {
+
+        copyProperties(sources[index]);
+    }
+
+    return target;
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Object class. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Object assign() polyfill.");
+}
+
+/* If the Object class's static assign() method is not supported by the 
+ current Internet browser, install a non-enumerable assign() method on the 
+ Object class itself which calls the polyfill function defined above. Any 
+ arguments after the first one are the source objects. */
+installPolyfill(Object, "assign", function(target) {
+
+    return objectAssignPolyfill(target, 
+        Array.prototype.slice.call(arguments, 1));
+}, "objectAssign");
@@ -0,0 +1,159 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Object 
+ * class's static fromEntries() method for Internet browsers that do not 
+ * support it. It is the reverse of the objectEntriesPolyfill() function in 
+ * object/Entries.js. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Object fromEntries() 
+ * method: 
+ * "The Object.fromEntries() static method transforms a list of key-value 
+ * pairs into an object." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Object class's fromEntries() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/fromEntries
+ * 
+ * This function depends on the arrayFromPolyfill() function from 
+ * array/From.js, which collects the key-value pairs. 
+ * 
+ * @param { object } iterable - Required parameter. An iterable or Array-like 
+ * list of key-value pairs, such as an Array of two-entry Arrays or, if the 
+ * current Internet browser supports it, a Map. Accepts the same values as the 
+ * "items" parameter of the arrayFromPolyfill() function. Each pair must be 
+ * an object whose "0" property is the key and whose "1" property is the 
+ * value. A valid argument must not be undefined or null. 
+ * 
+ * @throws - 
+ * - A ReferenceError exception if the arrayFromPolyfill() function is not 
+ *   loaded. 
+ * - A TypeError exception if the argument to the "iterable" parameter is 
+ *   undefined or null, or if one of its entries is not an object. 
+ * 
+ * @returns { object } - 
+ * A new object with a property for each key-value pair. Later pairs with the 
+ * same key override earlier ones. 
+ */
+function objectFromEntriesPolyfill(iterable) {
+
+    /**
+     * Checks whether the arrayFromPolyfill() function is loaded. The 
+     * "iterable" argument is checked by the arrayFromPolyfill() function 
+     * itself. 
+     * 
+     * @throws - 
+     * A ReferenceError exception if the function is not loaded. 
+     */
+    function checkDependency() {
+
+        if (typeof arrayFromPolyfill !== "function") {
+
+            throw new ReferenceError("arrayFromPolyfill() function must be " 
+                + "loaded in order to use the Object fromEntries() " 
+                + "polyfill.");
+        }
+    }
+
+    /**
+     * Creates an own property on the new object. Like the native method, a 
+     * "__proto__" key is defined with the Object.defineProperty() method, 
+     * since assigning it would change the prototype of the new object 
+     * instead. ES3 Internet browsers without the Object.defineProperty() 
+     * method do not have a "__proto__" setter either, so plain assignment is 
+     * used for every other key and in those Internet browsers, as well as in 
+     * Internet Explorer 8, whose Object.defineProperty() method only works on 
+     * DOM objects and throws an exception for plain objects. 
+     * 
+     * @param { object } newObj - The new object. 
+     * @param { string | symbol } key - The key of the property. 
+     * @param { any } value - The value of the property. 
+     */
+    function setProperty(newObj, key, value) {
+
+        if (key === "__proto__" 
+            && typeof Object.defineProperty === "function") {
+
+            try {
+
+                Object.defineProperty(newObj, key, {
+                    value: value, 
+                    writable: true, 
+                    enumerable: true, 
+                    configurable: true
+                });
+            }
+            catch (e) {
+
+                newObj[key] = value;
+            }
+        }
+        else {
+
+            newObj[key] = value;
+        }
+    }
+
+    /**
+     * Adds a property to the new object for each key-value pair. Keys other 
+     * than Symbols are converted to strings. 
+     * 
+     * @returns { object } - The new object 
+     */
+    function buildObject() {
+
+        var pairs = arrayFromPolyfill(iterable), index, key, newObj = {};
+
+        for (index = 0; index < pairs.length; index++) {
+
+            if (typeof pairs[index] !== "object" || pairs[index] === null) {
+
+                throw new TypeError("Entry " + index + " of parameter " 
+                    + "\"iterable\" must be a key-value pair object.");
+            }
+
+            key = pairs[index][0];
+            key = typeof key === "symbol" ? key : String(key);
+            setProperty(newObj, key, pairs[index][1]);
+        }
+
+        return newObj;
+    }
+
+    /* Main function execution area */
+    checkDependency();
+    return buildObject();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Object class. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Object fromEntries() polyfill.");
+}
+
+/* If the Object class's static fromEntries() method is not supported by the 
+ current Internet browser, install a non-enumerable fromEntries() method on 
+ the Object class itself which calls the polyfill function defined above. */
+installPolyfill(Object, "fromEntries", function(iterable) {
+
+    return objectFromEntriesPolyfill(iterable);
+}, "objectFromEntries");
@@ -0,0 +1,164 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Object 
+ * class's static groupBy() method for Internet browsers that do not support 
+ * it. It can be used, for example, to group the Elements returned by the 
+ * elementsByClass() function by their tag names, or the Comment nodes 
+ * returned by the getAllComments() function by their parent nodes' IDs. 
+ * 
+ * The groupBy() method is a relatively new specification at the time this 
+ * function was authored, so its behavior may be subject to change in the 
+ * future. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Object groupBy() 
+ * method: 
+ * "The Object.groupBy() static method groups the elements of a given iterable 
+ * according to the string values returned by a provided callback function. 
+ * The returned object has separate properties for each group, containing 
+ * arrays with the elements in the group." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Object class's groupBy() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/groupBy
+ * 
+ * This function depends on the arrayFromPolyfill() function from 
+ * array/From.js, which collects the entries of the "items" argument. 
+ * 
+ * @param { object | string } items - Required parameter. An iterable or 
+ * Array-like object whose entries will be grouped, such as an Array, a 
+ * NodeList, an HTMLCollection or, if the current Internet browser supports 
+ * the Symbol class, a Set. Accepts the same values as the "items" parameter 
+ * of the arrayFromPolyfill() function. A valid argument must not be undefined 
+ * or null. 
+ * 
+ * @param { Function } callbackFn - Required parameter. From MDN: 
+ * "A function to execute for each element in the iterable. It should return a 
+ * value that can get coerced into a property key (string or symbol) 
+ * indicating the group of the current element." 
+ * The function is called with the current entry and its index. 
+ * 
+ * @throws - 
+ * - A ReferenceError exception if the arrayFromPolyfill() function is not 
+ *   loaded. 
+ * - A TypeError exception if the argument to the "items" parameter is 
+ *   undefined or null, or if the argument to the "callbackFn" parameter is 
+ *   not a function. 
+ * 
+ * @returns { object } - 
+ * An object with a property for each group key, in the order in which the 
+ * keys were first returned. Each property contains an Array of the entries 
+ * in the group. Where supported, the object has a null prototype, so group 
+ * keys such as "toString" do not collide with inherited properties. 
+ */
+function objectGroupByPolyfill(items, callbackFn) {
+
+    /**
+     * Checks whether the arrayFromPolyfill() function is loaded, and whether 
+     * the "callbackFn" argument is a function. The "items" argument is 
+     * checked by the arrayFromPolyfill() function itself. 
+     * 
+     * @throws - 
+     * A ReferenceError or TypeError exception as described above. 
+     */
+    function checkParams() {
+
+        if (typeof arrayFromPolyfill !== "function") {
+
+            throw new ReferenceError("arrayFromPolyfill() function must be " 
+                + "loaded in order to group the entries of parameter " 
+                + "\"items\".");
+        }
+
+        if (typeof callbackFn !== "function") {
+
+            throw new TypeError("Parameter \"callbackFn\" must be a " 
+                + "function.");
+        }
+    }
+
+    /**
+     * Creates the object holding the groups. ES3 Internet browsers do not 
+     * support the Object class's create() method, in which case a plain 
+     * object is used instead. 
+     * 
+     * @returns { object } - The new, empty object 
+     */
+    function createGroups() {
+
+        return typeof Object.create === "function" ? Object.create(null) 
+            : {};
+    }
+
+    /**
+     * Passes each entry of the "items" argument to the "callbackFn" argument 
+     * and adds it to the group with the returned key. Keys other than 
+     * Symbols are converted to strings, as they would be by the native 
+     * method. 
+     * 
+     * @returns { object } - The object holding the groups 
+     */
+    function groupEntries() {
+
+        var entries = arrayFromPolyfill(items), groups = createGroups();
+        var index, key;
+
+        for (index = 0; index < entries.length; index++) {
+
+            key = callbackFn(entries[index], index);
+
+            if (typeof key !== "symbol") {
+
+                key = String(key);
+            }
+
+            if (Object.prototype.hasOwnProperty.call(groups, key)) {
+
+                groups[key].push(entries[index]);
+            }
+            else {
+
+                groups[key] = [entries[index]];
+            }
+        }
+
+        return groups;
+    }
+
+    /* Main function execution area */
+    checkParams();
+    return groupEntries();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Object class. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Object groupBy() polyfill.");
+}
+
+/* If the Object class's static groupBy() method is not supported by the 
+ current Internet browser, install a non-enumerable groupBy() method on the 
+ Object class itself which calls the polyfill function defined above. */
+installPolyfill(Object, "groupBy", function(items, callbackFn) {
+
+    return objectGroupByPolyfill(items, callbackFn);
+}, "objectGroupBy");
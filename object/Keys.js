@@ -0,0 +1,170 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Object 
+ * class's static keys() method for Internet browsers that do not support it. 
+ * The other Object polyfill functions in this directory list the properties 
+ * of an object through this function, so object/Keys.js must be loaded before 
+ * them. 
+ * 
+ * Internet Explorer 8 and earlier versions have a bug, known as the 
+ * "DontEnum" bug, where "for...in" loops skip an object's own properties if 
+ * they shadow a non-enumerable property of the Object class's prototype, such 
+ * as "toString" or "valueOf". For example, the "toString" property of 
+ * "{ toString: null }" is never enumerated. This function detects the bug and 
+ * checks for each of the affected property names separately. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Object keys() method: 
+ * "The Object.keys() static method returns an array of a given object's own 
+ * enumerable string-keyed property names." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Object class's keys() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/keys
+ * 
+ * @param { object | string } targetObj - Required parameter. The object to 
+ * have its own enumerable property names listed. A string primitive is also 
+ * accepted, in which case the index of each of its UTF-16 code units is 
+ * listed. Other primitive values have no own properties. A valid argument 
+ * must not be undefined or null. 
+ * 
+ * @throws - 
+ * A TypeError exception if the argument to the "targetObj" parameter is 
+ * undefined or null. 
+ * 
+ * @returns { Array<string> } - 
+ * A new Array containing the names of the own enumerable properties of the 
+ * "targetObj" argument. 
+ */
+function objectKeysPolyfill(targetObj) {
+
+    /**
+     * The names of the Object class's prototype properties which are skipped 
+     * by "for...in" loops in Internet browsers with the "DontEnum" bug. 
+     */
+    var dontEnumNames = [
+        "toString", "toLocaleString", "valueOf", "hasOwnProperty", 
+        "isPrototypeOf", "propertyIsEnumerable", "constructor"
+    ];
+
+    /**
+     * Checks whether the "targetObj" argument is neither undefined nor null. 
+     * 
+     * @throws - 
+     * A TypeError exception if the "targetObj" argument is undefined or null. 
+     */
+    function checkTargetObj() {
+
+        if (typeof targetObj === "undefined" || targetObj === null) {
+
+            throw new TypeError("Parameter \"targetObj\" must not be null " 
+                + "or undefined.");
+        }
+    }
+
+    /**
+     * Checks whether the current Internet browser has the "DontEnum" bug, by 
+     * testing whether an object's own "toString" property is enumerable. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function hasDontEnumBug() {
+
+        return !({ toString: null }).propertyIsEnumerable("toString");
+    }
+
+    /**
+     * Lists the indices of a string primitive. ES3 Internet browsers do not 
+     * enumerate them with "for...in" loops. 
+     * 
+     * @returns { Array<string> } - The string indices 
+     */
+    function getStringKeys() {
+
+        var index, keys = [];
+
+        for (index = 0; index < targetObj.length; index++) {
+
+            keys.push(String(index));
+        }
+
+        return keys;
+    }
+
+    /**
+     * Lists the own enumerable properties of an object with a "for...in" 
+     * loop, then adds the ones hidden by the "DontEnum" bug, if present. 
+     * 
+     * @returns { Array<string> } - The property names 
+     */
+    function getObjectKeys() {
+
+        var key, index, keys = [];
+        var hasOwn = Object.prototype.hasOwnProperty;
+
+        for (key in targetObj) {
+
+            if (hasOwn.call(targetObj, key)) {
+
+                keys.push(key);
+            }
+        }
+
+        if (hasDontEnumBug()) {
+
+            for (index = 0; index < dontEnumNames.length; index++) {
+
+                if (hasOwn.call(targetObj, dontEnumNames[index])) {
+
+                    keys.push(dontEnumNames[index]);
+                }
+            }
+        }
+
+        return keys;
+    }
+
+    /* Main function execution area */
+    checkTargetObj();
+
+    if (typeof targetObj === "string") {
+
+        return getStringKeys();
+    }
+
+    return typeof targetObj === "object" || typeof targetObj === "function" 
+        ? getObjectKeys() : [];
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Object class. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Object keys() polyfill.");
+}
+
+/* If the Object class's static keys() method is not supported by the current 
+ Internet browser, install a non-enumerable keys() method on the Object class 
+ itself which calls the polyfill function defined above. */
+installPolyfill(Object, "keys", function(targetObj) {
+
+    return objectKeysPolyfill(targetObj);
+}, "objectKeys");
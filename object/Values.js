@@ -0,0 +1,84 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the Object 
+ * class's static values() method for Internet browsers that do not support 
+ * it. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the Object values() method: 
+ * "The Object.values() static method returns an array of a given object's own 
+ * enumerable string-keyed property values." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the Object class's values() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/values
+ * 
+ * This function depends on the objectKeysPolyfill() function from 
+ * object/Keys.js. 
+ * 
+ * @param { object | string } targetObj - Required parameter. The object to 
+ * have its own enumerable property values listed. Accepts the same values as 
+ * the "targetObj" parameter of the objectKeysPolyfill() function. A valid 
+ * argument must not be undefined or null. 
+ * 
+ * @throws - 
+ * - A ReferenceError exception if the objectKeysPolyfill() function is not 
+ *   loaded. 
+ * - A TypeError exception if the argument to the "targetObj" parameter is 
+ *   undefined or null. 
+ * 
+ * @returns { Array } - 
+ * A new Array containing the values of the own enumerable properties of the 
+ * "targetObj" argument. 
+ */
+function objectValuesPolyfill(targetObj) {
+
+    if (typeof objectKeysPolyfill !== "function") {
+
+        throw new ReferenceError("objectKeysPolyfill() function must be " 
+            + "loaded in order to use the Object values() polyfill.");
+    }
+
+    var keys = objectKeysPolyfill(targetObj), index, values = [];
+
+    for (index = 0; index < keys.length; index++) {
+
+        values.push(typeof targetObj === "string" 
+            ? targetObj.charAt(keys[index]) : targetObj[ keys[index] ]);
+    }
+
+    return values;
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the Object class. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the Object values() polyfill.");
+}
+
+/* If the Object class's static values() method is not supported by the 
+ current Internet browser, install a non-enumerable values() method on the 
+ Object class itself which calls the polyfill function defined above. */
+installPolyfill(Object, "values", function(targetObj) {
+
+    return objectValuesPolyfill(targetObj);
+}, "objectValues");
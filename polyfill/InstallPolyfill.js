@@ -0,0 +1,512 @@
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * Contains a plain function for each polyfill method passed to the 
+ * installPolyfill() function, under the polyfill's ponyfill name. A ponyfill 
+ * is a function with the same implementation as a polyfill method, which is 
+ * called with its target as an argument rather than through a built-in object, 
+ * e.g. "ponyfill.at(list, -1)" instead of "list.at(-1)", or 
+ * "ponyfill.getRootNode(node, { composed: true })" instead of 
+ * "node.getRootNode({ composed: true })". The ponyfills are always available, 
+ * whether or not the polyfill methods are installed on the built-in objects. 
+ */
+var ponyfill = {};
+
+/**
+ * Installs a polyfill method as a property of a built-in object, such as a 
+ * class prototype, if the object does not already have a property of the same 
+ * name. Every ScriptJelly file which patches a built-in object calls this 
+ * function, so this file must be loaded before any of them. 
+ * 
+ * Native built-in methods are non-enumerable, meaning that they are not 
+ * visited by a "for...in" loop over an object. A polyfill method added with a 
+ * plain assignment, like "Array.prototype.at = function() {...}", is 
+ * enumerable instead, so legacy code looping over an Array with "for...in" 
+ * would visit it as if it were an entry. To avoid this, the method is defined 
+ * with the Object.defineProperty() method when it is supported, using the same 
+ * property attributes as a native built-in method: writable, configurable, and 
+ * non-enumerable. 
+ * 
+ * ES3 Internet browsers do not support the Object.defineProperty() method, and 
+ * Internet Explorer 8 only supports it on DOM objects, throwing an exception 
+ * for any other object. In either case, the method falls back to a plain 
+ * assignment, which is the only way to add a property in ES3. The property 
+ * will be enumerable there, but the polyfill will still be available. 
+ * 
+ * A polyfill for a property which is computed when it is read, such as the 
+ * Node interface's "isConnected" property, is installed as a getter instead, 
+ * by passing an object with a "get" function rather than a method. Like the 
+ * native properties of DOM interfaces, the getter is defined as configurable 
+ * and enumerable. Internet browsers without the Object.defineProperty() 
+ * method, or with the Internet Explorer 8 version of it, fall back to the 
+ * non-standard __defineGetter__() method of old Firefox, Chrome and Safari 
+ * versions. If neither is supported, a getter cannot be installed in ES3, so 
+ * only its ponyfill is available. 
+ * 
+ * Before installing the method, a ponyfill of it is added to the "ponyfill" 
+ * object above. Pages which must not have their built-in objects changed, 
+ * such as third-party pages running an embedded widget, can turn on ponyfill 
+ * mode by setting "installPolyfill.ponyfillMode" to true right after this file 
+ * is loaded. In ponyfill mode, no built-in object is patched by any 
+ * ScriptJelly file, and the polyfills are only available through the 
+ * "ponyfill" object. 
+ * 
+ * If the optional polyfill/PolyfillStatus.js file is loaded before this file, 
+ * the outcome of each call is also recorded in its registry under the 
+ * qualified name of the polyfill method, e.g. "Array.prototype.at", as 
+ * "native" with the "native" tier, as "polyfilled" with the "defineProperty", 
+ * "defineGetter", "assignment" or "ponyfill" tier, or as "unavailable" if a 
+ * getter cannot be installed. An existing property is only recorded as 
+ * "native" if its function is built into the Internet browser; one defined by 
+ * a third-party script is recorded as "polyfilled" with the "thirdParty" 
+ * tier, and one installed earlier by this function is not recorded again. 
+ * Each installed method or getter is marked for the isInstalledPolyfill() 
+ * function below, so that functions with several fallback methods can tell 
+ * it apart from a native one. 
+ * 
+ * For more information on associated JavaScript APIs and methods, reference 
+ * authoritative documentation: 
+ * 
+ * The Object class's defineProperty() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Object/defineProperty
+ * 
+ * Enumerability and ownership of properties: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Enumerability_and_ownership_of_properties
+ * 
+ * @param {object | Function} target - Required. The built-in object, usually 
+ * a class prototype such as "Array.prototype", or a class itself for static 
+ * methods, which will have the polyfill method installed on it. 
+ * 
+ * @param {string} name - Required. The name of the property under which the 
+ * polyfill method will be installed, e.g. "at". 
+ * 
+ * @param {Function | object} method - Required. The polyfill method to be 
+ * installed, or, for a getter, a non-null object with a "get" property whose 
+ * value is the function to be called with the target object's instance as 
+ * its "this" value when the property is read. 
+ * 
+ * @param {string} ponyfillName - Optional. The name of the ponyfill added to 
+ * the "ponyfill" object. Defaults to the value of the "name" parameter. A 
+ * different name must be given when the same name is used by polyfill methods 
+ * of different built-in objects, such as "stringIncludes" for the String 
+ * includes() method, and for static methods, such as "arrayFrom". 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the value passed to the "target" parameter is neither a non-null object 
+ *   nor a function; 
+ * - the value passed to the "name" parameter is not a non-empty string; or 
+ * - the value passed to the "method" parameter is neither a function nor an 
+ *   object with a "get" function; or 
+ * - the value passed to the "ponyfillName" parameter is neither undefined nor 
+ *   a non-empty string. 
+ * 
+ * @returns {boolean} - 
+ * - Boolean true if the polyfill method was installed on the target object. 
+ * - Boolean false if ponyfill mode is turned on, if a getter cannot be 
+ *   installed, or if the target object already has a property with the same 
+ *   name, which is most likely a native implementation. Native 
+ *   implementations are always prioritized over polyfilled ones, since they 
+ *   may perform more quickly and be more standard-compliant. 
+ */
+function installPolyfill(target, name, method, ponyfillName) {
+
+    /**
+     * Checks whether the arguments passed to the parameters of the parent 
+     * function are of the expected data types. 
+     * 
+     * @throws - 
+     * A TypeError exception if any argument is not of its expected data type. 
+     */
+    function checkParams() {
+
+        if (!target || (typeof target !== "object" 
+            && typeof target !== "function")) {
+
+            throw new TypeError("The value passed to the \"target\" " 
+                + "parameter must be a non-null object or a function.");
+        }
+
+        if (typeof name !== "string" || !name) {
+
+            throw new TypeError("The value passed to the \"name\" parameter " 
+                + "must be a non-empty string.");
+        }
+
+        if (method && typeof method === "object") {
+
+            getter = method.get;
+        }
+
+        if (typeof method !== "function" && typeof getter !== "function") {
+
+            throw new TypeError("The value passed to the \"method\" " 
+                + "parameter must be a function or an object with a " 
+                + "\"get\" function.");
+        }
+
+        if (typeof ponyfillName === "undefined") {
+
+            ponyfillName = name;
+        }
+        else if (typeof ponyfillName !== "string" || !ponyfillName) {
+
+            throw new TypeError("The value passed to the \"ponyfillName\" " 
+                + "parameter must either be undefined or a non-empty " 
+                + "string.");
+        }
+    }
+
+    /**
+     * Creates the ponyfill of the polyfill method. A static method, installed 
+     * on a class itself, does not use its "this" value, so it already is a 
+     * plain function. A prototype method is wrapped in a function which 
+     * passes its first argument to the method as the "this" value, followed 
+     * by the remaining arguments. A getter is treated as a method without 
+     * arguments, e.g. "ponyfill.isConnected(node)", and a static getter is 
+     * called with the class as its "this" value. 
+     * 
+     * @returns {Function} - The ponyfill 
+     */
+    function createPonyfill() {
+
+        var fn = getter || method;
+
+        if (typeof target === "function") {
+
+            return getter ? function() { return getter.call(target); } 
+                : method;
+        }
+
+        return function(thisValue) {
+
+            if (typeof thisValue === "undefined" || thisValue === null) {
+
+                throw new TypeError("The first argument passed to the " 
+                    + "ponyfill." + ponyfillName + "() function must not be " 
+                    + "null or undefined.");
+            }
+
+            return fn.apply(thisValue, 
+                Array.prototype.slice.call(arguments, 1));
+        };
+    }
+
+    /**
+     * Tries to define the polyfill method on the target object as a 
+     * writable, configurable, and non-enumerable property using the 
+     * Object.defineProperty() method, or a getter as a configurable and 
+     * enumerable property. 
+     * 
+     * @returns {boolean} - 
+     * - Boolean true if the property was defined. 
+     * - Boolean false if the Object.defineProperty() method is not supported, 
+     *   or if it threw an exception because it only supports DOM objects, as 
+     *   in Internet Explorer 8. 
+     */
+    function byDefineProperty() {
+
+        if (typeof Object.defineProperty !== "function") {
+
+            return false;
+        }
+
+        try {
+
+            Object.defineProperty(target, name, getter ? {
+                get: getter, 
+                configurable: true, 
+                enumerable: true
+            } : {
+                value: method, 
+                writable: true, 
+                configurable: true, 
+                enumerable: false
+            });
+        }
+        catch (e) {
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Assigns the polyfill method to the target object directly. This is the 
+     * only approach available in ES3 Internet browsers, and the resulting 
+     * property is enumerable. 
+     * 
+     * @returns {boolean} - Boolean true 
+     */
+    function byAssignment() {
+
+        target[name] = method;
+        return true;
+    }
+
+    /**
+     * Tries to define the getter on the target object using the non-standard 
+     * __defineGetter__() method. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true if the getter was defined, or false if the 
+     * __defineGetter__() method is not supported or threw an exception. 
+     */
+    function byDefineGetter() {
+
+        if (typeof target.__defineGetter__ !== "function") {
+
+            return false;
+        }
+
+        try {
+
+            target.__defineGetter__(name, getter);
+        }
+        catch (e) {
+
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Retrieves the name of a class, using the "name" property of functions 
+     * where it is supported, or else the source text of the function. 
+     * 
+     * @param {Function} classFn - The class. 
+     * 
+     * @returns {string} - The name of the class, or an empty string 
+     */
+    function getClassName(classFn) {
+
+        var match;
+
+        if (typeof classFn !== "function") {
+
+            return "";
+        }
+
+        if (typeof classFn.name === "string") {
+
+            return classFn.name;
+        }
+
+        match = /^\s*function\s*([\w$]+)/.exec(String(classFn));
+        return match ? match[1] : "";
+    }
+
+    /**
+     * Retrieves the qualified name of the polyfill method, such as 
+     * "Array.prototype.at" or "Object.keys", falling back to the ponyfill 
+     * name if the name of the target object's class cannot be found, as for 
+     * DOM objects in Internet Explorer 8. 
+     * 
+     * @returns {string} - The qualified name 
+     */
+    function getQualifiedName() {
+
+        var className;
+
+        if (typeof target === "function") {
+
+            className = getClassName(target);
+            return className ? className + "." + name : ponyfillName;
+        }
+
+        className = target.constructor 
+            && target.constructor.prototype === target 
+            ? getClassName(target.constructor) : "";
+
+        return className ? className + ".prototype." + name : ponyfillName;
+    }
+
+    /**
+     * Records the outcome of the installation if the recordPolyfillStatus() 
+     * function from polyfill/PolyfillStatus.js is loaded. 
+     * 
+     * @param {string} status - The status of the polyfill method. 
+     * 
+     * @param {string} tier - The approach used for the polyfill method, if 
+     * any. 
+     * 
+     * @returns {boolean} - 
+     * Boolean true if the polyfill method was installed on the target object, 
+     * or false otherwise. 
+     */
+    function recordStatus(status, tier) {
+
+        if (typeof recordPolyfillStatus === "function") {
+
+            recordPolyfillStatus(getQualifiedName(), status, tier);
+        }
+
+        return tier === "defineProperty" || tier === "defineGetter" 
+            || tier === "assignment";
+    }
+
+    /**
+     * Retrieves the function of the existing property of the target object, 
+     * which is its getter for an accessor property. Where the 
+     * Object.getOwnPropertyDescriptor() method is supported, the property 
+     * descriptor is looked up along the prototype chain, since reading some 
+     * native properties directly from a prototype object throws an exception 
+     * in modern Internet browsers. 
+     * 
+     * @returns {Function | undefined} - 
+     * The function, or undefined if the property does not hold a function or 
+     * cannot be read. 
+     */
+    function getExistingFunction() {
+
+        var current = target, descriptor, value;
+
+        try {
+
+            if (typeof Object.getOwnPropertyDescriptor === "function" 
+                && typeof Object.getPrototypeOf === "function") {
+
+                while (current && !descriptor) {
+
+                    descriptor = Object.getOwnPropertyDescriptor(current, 
+                        name);
+                    current = Object.getPrototypeOf(current);
+                }
+
+                value = descriptor && (descriptor.get || descriptor.value);
+            }
+            else {
+
+                value = target[name];
+            }
+        }
+        catch (e) {
+
+            return undefined;
+        }
+
+        return typeof value === "function" ? value : undefined;
+    }
+
+    /**
+     * Checks whether a function is built into the Internet browser, in which 
+     * case its source text only contains "[native code]" as its body. 
+     * 
+     * @param {Function} fn - The function to be checked. 
+     * 
+     * @returns {boolean} - Boolean true or false 
+     */
+    function isNativeFunction(fn) {
+
+        try {
+
+            return /\{\s*\[native code\]\s*\}\s*$/.test(
+                Function.prototype.toString.call(fn));
+        }
+        catch (e) {
+
+            return false;
+        }
+    }
+
+    /**
+     * Records the status of a property which the target object already has. 
+     * A property which does not hold a function, such as a native data 
+     * property of a DOM object, is assumed to be native. 
+     * 
+     * @returns {boolean} - Boolean false, since nothing is installed 
+     */
+    function recordExisting() {
+
+        var existing = getExistingFunction();
+
+        if (isInstalledPolyfill(existing)) {
+
+            return false;
+        }
+
+        if (existing && !isNativeFunction(existing)) {
+
+            return recordStatus("polyfilled", "thirdParty");
+        }
+
+        return recordStatus("native", "native");
+    }
+
+    /* Main function execution area */
+    var getter = null;
+
+    checkParams();
+    ponyfill[ponyfillName] = createPonyfill();
+
+    /* The "in" operator is used rather than reading the property, since 
+     reading some native properties directly from a prototype object throws an 
+     exception in modern Internet browsers. */
+    if (name in target) {
+
+        return recordExisting();
+    }
+
+    if (installPolyfill.ponyfillMode === true) {
+
+        return recordStatus("polyfilled", "ponyfill");
+    }
+
+    /* Mark the method or getter before it is installed, so that later calls, 
+     such as when a file is loaded twice, recognize it as a polyfill. */
+    (getter || method).polyfillName = getQualifiedName();
+
+    if (byDefineProperty()) {
+
+        return recordStatus("polyfilled", "defineProperty");
+    }
+
+    if (!getter) {
+
+        byAssignment();
+        return recordStatus("polyfilled", "assignment");
+    }
+
+    if (byDefineGetter()) {
+
+        return recordStatus("polyfilled", "defineGetter");
+    }
+
+    return recordStatus("unavailable");
+}
+
+/* Ponyfill mode is turned off by default, so the polyfill methods are 
+ installed on the built-in objects. */
+installPolyfill.ponyfillMode = false;
+
+/**
+ * Checks whether a function is a polyfill method or getter installed by the 
+ * installPolyfill() function, which marks each of them with a "polyfillName" 
+ * property holding the qualified name it was recorded under. Functions with 
+ * several fallback methods use this to avoid recording a polyfill found on a 
+ * built-in object as "native". 
+ * 
+ * @param {any} fn - The value to be checked. 
+ * 
+ * @returns {boolean} - Boolean true or false 
+ */
+function isInstalledPolyfill(fn) {
+
+    return typeof fn === "function" && typeof fn.polyfillName === "string";
+}
@@ -0,0 +1,204 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * Contains an entry for each polyfill or utility function whose status has 
+ * been recorded with the recordPolyfillStatus() function, under the name it 
+ * was recorded with. The entries should be read with the getPolyfillStatus() 
+ * function, which returns copies of them, rather than through this object. 
+ */
+var polyfillStatusRegistry = {};
+
+/**
+ * Records how a polyfill or utility function is supported by the current 
+ * Internet browser, so that the support can be looked up later with the 
+ * getPolyfillStatus() function, e.g. when debugging a user's Internet browser 
+ * from its developer console. 
+ * 
+ * This file is optional. The installPolyfill() function and the utility 
+ * functions only look this function up when they are called, so it must be 
+ * loaded before the polyfill files which call installPolyfill() as they are 
+ * loaded, such as array/At.js, but not necessarily before 
+ * polyfill/InstallPolyfill.js itself. Then the installPolyfill() function 
+ * records every polyfill method it is called with, and utility functions with 
+ * a "tryMethods" fallback ladder, such as containsCSSClass() and 
+ * getAllComments(), record which step of the ladder, or fallback tier, they 
+ * used each time they are called. 
+ * 
+ * @param { string } name - Required. The name of the polyfill or utility 
+ * function, e.g. "Array.prototype.at" or "containsCSSClass". 
+ * 
+ * @param { string } status - Required. One of the following strings: 
+ * - "native": the Internet browser supports the functionality itself, so its 
+ *   native implementation is used. 
+ * - "polyfilled": the functionality is emulated by ScriptJelly code. 
+ * - "unavailable": neither a native implementation nor any emulation works 
+ *   in the Internet browser. 
+ * 
+ * @param { string } tier - Optional. The name of the approach chosen by the 
+ * Internet browser, e.g. "classList" or "className" for the 
+ * containsCSSClass() function, or "defineProperty" for a polyfill method 
+ * installed as a non-enumerable property. 
+ * 
+ * @throws - 
+ * - A TypeError exception if the argument to the "name" parameter is not a 
+ *   non-empty string, or if the argument to the "tier" parameter is neither 
+ *   undefined nor a string. 
+ * - A RangeError exception if the argument to the "status" parameter is not 
+ *   one of the strings listed above. 
+ */
+function recordPolyfillStatus(name, status, tier) {
+
+    /**
+     * Checks whether the arguments passed to the parameters of the parent 
+     * function are of the expected data types and values. 
+     * 
+     * @throws - 
+     * A TypeError or RangeError exception as described above. 
+     */
+    function checkParams() {
+
+        if (typeof name !== "string" || !name) {
+
+            throw new TypeError("The value passed to the \"name\" parameter " 
+                + "must be a non-empty string.");
+        }
+
+        if (status !== "native" && status !== "polyfilled" 
+            && status !== "unavailable") {
+
+            throw new RangeError("The value passed to the \"status\" " 
+                + "parameter must be \"native\", \"polyfilled\" or " 
+                + "\"unavailable\".");
+        }
+
+        if (typeof tier !== "undefined" && typeof tier !== "string") {
+
+            throw new TypeError("The value passed to the \"tier\" parameter " 
+                + "must either be undefined or a string.");
+        }
+    }
+
+    /**
+     * Checks whether a tier is already listed in the tiers used by an entry. 
+     * 
+     * @param { object } entry - The registry entry. 
+     * 
+     * @returns { boolean } - Boolean true or false 
+     */
+    function hasTier(entry) {
+
+        var index;
+
+        for (index = 0; index < entry.tiersUsed.length; index++) {
+
+            if (entry.tiersUsed[index] === tier) {
+
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /* Main function execution area */
+    checkParams();
+
+    var entry = polyfillStatusRegistry.hasOwnProperty(name) 
+        ? polyfillStatusRegistry[name] : null;
+
+    if (!entry) {
+
+        entry = polyfillStatusRegistry[name] = {
+            name: name, 
+            status: status, 
+            tier: null, 
+            tiersUsed: []
+        };
+    }
+
+    entry.status = status;
+
+    if (typeof tier === "string") {
+
+        entry.tier = tier;
+
+        if (!hasTier(entry)) {
+
+            entry.tiersUsed.push(tier);
+        }
+    }
+}
+
+/**
+ * Looks up the recorded support of one or all polyfills and utility 
+ * functions. The returned entries are copies, so changing them does not 
+ * change the registry. 
+ * 
+ * @param { string } name - Optional. The name of the polyfill or utility 
+ * function, as passed to the recordPolyfillStatus() function. If undefined, 
+ * every entry is returned. 
+ * 
+ * @returns { object | Array<object> | null } - 
+ * If a name is passed, the entry recorded under that name, or null if there 
+ * is none. Otherwise, an Array of every entry, in the order in which they 
+ * were first recorded. Each entry is an object with the properties: 
+ * - "name": the name of the polyfill or utility function; 
+ * - "status": "native", "polyfilled" or "unavailable"; 
+ * - "tier": the most recently recorded fallback tier, or null if none was 
+ *   recorded; 
+ * - "tiersUsed": an Array of every fallback tier recorded so far, since 
+ *   utility functions may choose different tiers for different Elements. 
+ */
+function getPolyfillStatus(name) {
+
+    /**
+     * Copies a registry entry. 
+     * 
+     * @param { object } entry - The registry entry. 
+     * 
+     * @returns { object } - The copy 
+     */
+    function copyEntry(entry) {
+
+        return {
+            name: entry.name, 
+            status: entry.status, 
+            tier: entry.tier, 
+            tiersUsed: entry.tiersUsed.slice(0)
+        };
+    }
+
+    /* Main function execution area */
+    var key, entries = [];
+
+    if (typeof name !== "undefined") {
+
+        return polyfillStatusRegistry.hasOwnProperty(name) 
+            ? copyEntry(polyfillStatusRegistry[name]) : null;
+    }
+
+    for (key in polyfillStatusRegistry) {
+
+        if (polyfillStatusRegistry.hasOwnProperty(key)) {
+
+            entries.push(copyEntry(polyfillStatusRegistry[key]));
+        }
+    }
+
+    return entries;
+}
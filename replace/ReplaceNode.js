@@ -92,7 +92,9 @@
  * replacement behavior of this function. Note that the values of the 
  * properties may be other data types than Boolean, as long as they are truthy 
  * or falsy, to achieve the same effect. By default, if unmodified, all 
- * properties are set to Boolean false. The supported "options" properties are: 
+ * properties are set to Boolean false. The defaults are applied with the 
+ * objectAssignPolyfill() function from object/Assign.js, which must be loaded 
+ * before this function is called. The supported "options" properties are: 
  * 
  * "copyNodes": 
  * - If true, instructs the function to make deep copies of each Node 
@@ -199,21 +201,29 @@ function replaceNode(original, replacement, options) {
 
     this.checkOptions = function() {
 
-        if (typeof options === "undefined") {
+        if (typeof objectAssignPolyfill !== "function") {
 
-            return;
+            throw new ReferenceError("objectAssignPolyfill() function must " 
+                + "be loaded in order to apply the default options of the " 
+                + "replaceNode() function.");
         }
 
-        if (options && typeof options === "object") {
+        if (typeof options !== "undefined" 
+            && (!options || typeof options !== "object")) {
 
-            this.copyNodes = !!options.copyNodes;
-            this.getNewList = !!options.getNewList;
-            this.replaceOnce = !!options.replaceOnce;
-            return;
+            throw new TypeError("Value passed to \"options\" parameter must " 
+                + "be a non-null object with option entries.");
         }
-        
-        throw new TypeError("Value passed to \"options\" parameter must be a " 
-            + "non-null object with option entries.");
+
+        options = objectAssignPolyfill({ 
+            copyNodes: false, 
+            getNewList: false, 
+            replaceOnce: false 
+        }, [options]);
+
+        this.copyNodes = !!options.copyNodes;
+        this.getNewList = !!options.getNewList;
+        this.replaceOnce = !!options.replaceOnce;
     }
 
     this.checkParamList = function(paramVal, paramName) {
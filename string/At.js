@@ -0,0 +1,96 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the String 
+ * class's at() method for Internet browsers that do not support it. 
+ * 
+ * The String class's at() method counts UTF-16 code units the same way that 
+ * the arrayAtPolyfill() function from array/At.js counts list entries, so 
+ * this function converts the "targetStr" argument to a string primitive and 
+ * passes it on. The array/At.js file must therefore be loaded before this 
+ * file. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the String at() method: 
+ * "The at() method of String values takes an integer value and returns a new 
+ * String consisting of the single UTF-16 code unit located at the specified 
+ * offset. This method allows for positive and negative integers. Negative 
+ * integers count back from the last string character." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the String class's at() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/at
+ * 
+ * @param { string } targetStr - Required parameter. The string to retrieve a 
+ * character from. Values which are not strings, including String objects, are 
+ * converted to string primitives. A valid argument must not be undefined or 
+ * null. 
+ * 
+ * @param { number } parentArgLen - Required parameter. Contains the integer 
+ * number of arguments passed to the parent polyfill calling method. Refer to 
+ * the documentation of the arrayAtPolyfill() function. 
+ * 
+ * @param { number } index - Optional parameter. The index of the UTF-16 code 
+ * unit to be retrieved. Negative integers count back from the end of the 
+ * string. 
+ * 
+ * @throws - 
+ * - A ReferenceError exception if the arrayAtPolyfill() function is not 
+ *   loaded. 
+ * - A TypeError exception if the argument to the "targetStr" parameter is 
+ *   undefined or null. 
+ * 
+ * @returns { string | undefined } - 
+ * A string containing the single UTF-16 code unit at the index, or undefined 
+ * if the index is outside of the string. 
+ */
+function stringAtPolyfill(targetStr, parentArgLen, index) {
+
+    if (typeof arrayAtPolyfill !== "function") {
+
+        throw new ReferenceError("arrayAtPolyfill() function must be loaded " 
+            + "in order to use the String at() polyfill.");
+    }
+
+    if (typeof targetStr === "undefined" || targetStr === null) {
+
+        throw new TypeError("Parameter \"targetStr\" must not be null or " 
+            + "undefined.");
+    }
+
+    return arrayAtPolyfill(String(targetStr), parentArgLen, index);
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the String class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the String at() polyfill.");
+}
+
+/* If the String class's at() method is not supported by the current Internet 
+ browser, install a non-enumerable at() method in its prototype which calls 
+ the polyfill function defined above. The "this" value is a String object when 
+ the method is called on a string. Its ponyfill is named "stringAt", since 
+ "ponyfill.at" is the ponyfill of the Array at() method. */
+installPolyfill(String.prototype, "at", function(index) {
+
+    return stringAtPolyfill(this, arguments.length, index);
+}, "stringAt");
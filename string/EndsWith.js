@@ -0,0 +1,132 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the String 
+ * class's endsWith() method for Internet browsers that do not support it. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the String endsWith() 
+ * method: 
+ * "The endsWith() method of String values determines whether a string ends 
+ * with the characters of this string, returning true or false as 
+ * appropriate." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the String class's endsWith() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/endsWith
+ * 
+ * @param { string } targetStr - Required parameter. The string to be checked. 
+ * Values which are not strings are converted to strings. A valid argument 
+ * must not be undefined or null. 
+ * 
+ * @param { string } searchString - Required parameter. The characters to be 
+ * searched for at the end of the "targetStr" argument. Values other than 
+ * regular expressions are converted to strings. 
+ * 
+ * @param { number } endPosition - Optional parameter. From MDN: 
+ * "The end position at which searchString is expected to be found (the index 
+ * of searchString's last character plus 1). Defaults to str.length." 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the argument to the "targetStr" parameter is undefined or null; or 
+ * - the argument to the "searchString" parameter is a regular expression. 
+ * 
+ * @returns { boolean } - 
+ * Boolean true if the "searchString" argument is found right before the end 
+ * position of the "targetStr" argument, or if it is an empty string. Boolean 
+ * false otherwise. 
+ */
+function stringEndsWithPolyfill(targetStr, searchString, endPosition) {
+
+    /**
+     * Checks whether the "targetStr" argument is neither undefined nor null, 
+     * and whether the "searchString" argument is not a regular expression. 
+     * 
+     * @throws - 
+     * A TypeError exception if either argument is invalid. 
+     */
+    function checkParams() {
+
+        if (typeof targetStr === "undefined" || targetStr === null) {
+
+            throw new TypeError("Parameter \"targetStr\" must not be null " 
+                + "or undefined.");
+        }
+
+        if (searchString instanceof RegExp) {
+
+            throw new TypeError("Parameter \"searchString\" must not be a " 
+                + "regular expression.");
+        }
+
+        targetStr = String(targetStr);
+        searchString = String(searchString);
+    }
+
+    /**
+     * Converts the "endPosition" argument to an index in the range of 0 to 
+     * the length of the "targetStr" argument. An undefined argument refers to 
+     * the end of the string. 
+     * 
+     * @returns { number } - The end index 
+     */
+    function getEndIndex() {
+
+        var end;
+
+        if (typeof endPosition === "undefined") {
+
+            return targetStr.length;
+        }
+
+        end = Number(endPosition);
+
+        if (isNaN(end) || end < 0) {
+
+            return 0;
+        }
+
+        return Math.min(Math.floor(end), targetStr.length);
+    }
+
+    /* Main function execution area */
+    checkParams();
+
+    var start = getEndIndex() - searchString.length;
+    return start >= 0 && targetStr.substring(start, start 
+        + searchString.length) === searchString;
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the String class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the String endsWith() polyfill.");
+}
+
+/* If the String class's endsWith() method is not supported by the current 
+ Internet browser, install a non-enumerable endsWith() method in its 
+ prototype which calls the polyfill function defined above. */
+installPolyfill(String.prototype, "endsWith", function(searchString, 
+    endPosition) {
+
+    return stringEndsWithPolyfill(this, searchString, endPosition);
+});
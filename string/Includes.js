@@ -0,0 +1,106 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the String 
+ * class's includes() method for Internet browsers that do not support it. 
+ * Unlike the Array includes() polyfill function in array/Includes.js, which 
+ * compares single entries, it searches for a sequence of characters. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the String includes() 
+ * method: 
+ * "The includes() method of String values performs a case-sensitive search 
+ * to determine whether a given string may be found within this string, 
+ * returning true or false as appropriate." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the String class's includes() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/includes
+ * 
+ * @param { string } targetStr - Required parameter. The string to be 
+ * searched. Values which are not strings are converted to strings. A valid 
+ * argument must not be undefined or null. 
+ * 
+ * @param { string } searchString - Required parameter. The characters to be 
+ * searched for. Values other than regular expressions are converted to 
+ * strings. 
+ * 
+ * @param { number } position - Optional parameter. From MDN: 
+ * "The position within the string at which to begin searching for 
+ * searchString. (Defaults to 0.)" 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the argument to the "targetStr" parameter is undefined or null; or 
+ * - the argument to the "searchString" parameter is a regular expression. 
+ * 
+ * @returns { boolean } - 
+ * Boolean true if the "searchString" argument is found at or after the 
+ * position in the "targetStr" argument. Boolean false otherwise. 
+ */
+function stringIncludesPolyfill(targetStr, searchString, position) {
+
+    /**
+     * Checks whether the "targetStr" argument is neither undefined nor null, 
+     * and whether the "searchString" argument is not a regular expression. 
+     * 
+     * @throws - 
+     * A TypeError exception if either argument is invalid. 
+     */
+    function checkParams() {
+
+        if (typeof targetStr === "undefined" || targetStr === null) {
+
+            throw new TypeError("Parameter \"targetStr\" must not be null " 
+                + "or undefined.");
+        }
+
+        if (searchString instanceof RegExp) {
+
+            throw new TypeError("Parameter \"searchString\" must not be a " 
+                + "regular expression.");
+        }
+    }
+
+    /* Main function execution area */
+    checkParams();
+
+    /* The String indexOf() method is supported by every Internet browser, and 
+     it already treats the position the same way as the includes() method. */
+    return String(targetStr).indexOf(String(searchString), position) !== -1;
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the String class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the String includes() polyfill.");
+}
+
+/* If the String class's includes() method is not supported by the current 
+ Internet browser, install a non-enumerable includes() method in its 
+ prototype which calls the polyfill function defined above. Its ponyfill is 
+ named "stringIncludes", since "ponyfill.includes" is the ponyfill of the Array 
+ includes() method. */
+installPolyfill(String.prototype, "includes", function(searchString, 
+    position) {
+
+    return stringIncludesPolyfill(this, searchString, position);
+}, "stringIncludes");
@@ -0,0 +1,136 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the String 
+ * class's padStart() and padEnd() methods for Internet browsers that do not 
+ * support them. Both methods share this function, which only differs in 
+ * which end of the string the padding is added to. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the String padStart() 
+ * method: 
+ * "The padStart() method of String values pads this string with a given 
+ * string (repeated and/or truncated, if needed) so that the resulting string 
+ * has a given length. The padding is applied from the start of this string." 
+ * 
+ * Reference the MDN pages for the latest documentation on and instructions 
+ * for using the String class's padStart() and padEnd() methods: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padStart
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/padEnd
+ * 
+ * @param { string } targetStr - Required parameter. The string to be padded. 
+ * Values which are not strings are converted to strings. A valid argument 
+ * must not be undefined or null. 
+ * 
+ * @param { number } targetLength - Required parameter. From MDN: 
+ * "The length of the resulting string once the current str has been padded. 
+ * If the value is less than or equal to str.length, then str is returned 
+ * as-is." 
+ * 
+ * @param { string } padString - Optional parameter. The string to pad the 
+ * "targetStr" argument with. It is repeated, and its last repetition is 
+ * truncated, as needed to reach the target length. Defaults to a single space 
+ * (" ") if undefined. If it is an empty string, no padding is added. 
+ * 
+ * @param { boolean } atEnd - Optional parameter. If truthy, the padding is 
+ * added after the "targetStr" argument, like the padEnd() method. Otherwise, 
+ * it is added before it, like the padStart() method. 
+ * 
+ * @throws - 
+ * A TypeError exception if the argument to the "targetStr" parameter is 
+ * undefined or null. 
+ * 
+ * @returns { string } - 
+ * A new string of the target length, or the "targetStr" argument converted to 
+ * a string if it is already at least that long. 
+ */
+function stringPadPolyfill(targetStr, targetLength, padString, atEnd) {
+
+    /**
+     * Checks whether the "targetStr" argument is neither undefined nor null, 
+     * and converts the arguments to their expected types. 
+     * 
+     * @throws - 
+     * A TypeError exception if the "targetStr" argument is undefined or null. 
+     */
+    function checkParams() {
+
+        if (typeof targetStr === "undefined" || targetStr === null) {
+
+            throw new TypeError("Parameter \"targetStr\" must not be null " 
+                + "or undefined.");
+        }
+
+        targetStr = String(targetStr);
+        targetLength = Math.floor(Number(targetLength));
+        padString = typeof padString === "undefined" ? " " : String(padString);
+    }
+
+    /**
+     * Repeats the "padString" argument until the padding fills the difference 
+     * between the target length and the length of the "targetStr" argument, 
+     * then truncates the last repetition. 
+     * 
+     * @returns { string } - The padded string 
+     */
+    function pad() {
+
+        var fillLength = targetLength - targetStr.length, padding = "";
+
+        if (!(fillLength > 0) || !padString) {
+
+            return targetStr;
+        }
+
+        while (padding.length < fillLength) {
+
+            padding += padString;
+        }
+
+        padding = padding.substring(0, fillLength);
+        return atEnd ? targetStr + padding : padding + targetStr;
+    }
+
+    /* Main function execution area */
+    checkParams();
+    return pad();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the String class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the String padStart() and padEnd() polyfills.");
+}
+
+/* If the String class's padStart() or padEnd() method is not supported by the 
+ current Internet browser, install a non-enumerable method in its prototype 
+ which calls the polyfill function defined above. */
+installPolyfill(String.prototype, "padStart", function(targetLength, 
+    padString) {
+
+    return stringPadPolyfill(this, targetLength, padString, false);
+});
+
+installPolyfill(String.prototype, "padEnd", function(targetLength, 
+    padString) {
+
+    return stringPadPolyfill(this, targetLength, padString, true);
+});
@@ -0,0 +1,132 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the String 
+ * class's repeat() method for Internet browsers that do not support it. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the String repeat() method: 
+ * "The repeat() method of String values constructs and returns a new string 
+ * which contains the specified number of copies of this string, concatenated 
+ * together." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the String class's repeat() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/repeat
+ * 
+ * @param { string } targetStr - Required parameter. The string to be 
+ * repeated. Values which are not strings are converted to strings. A valid 
+ * argument must not be undefined or null. 
+ * 
+ * @param { number } count - Optional parameter. The number of copies of the 
+ * "targetStr" argument in the new string. Any decimal portion is truncated, 
+ * and a value which is not a valid Number (NaN) is treated as 0. 
+ * 
+ * @throws - 
+ * - A TypeError exception if the argument to the "targetStr" parameter is 
+ *   undefined or null. 
+ * - A RangeError exception if the count is negative or Infinity. 
+ * 
+ * @returns { string } - 
+ * A new string containing the copies of the "targetStr" argument, or an empty 
+ * string if the count is 0. 
+ */
+function stringRepeatPolyfill(targetStr, count) {
+
+    /**
+     * Checks whether the "targetStr" argument is neither undefined nor null, 
+     * and whether the count is a zero or positive, finite number. 
+     * 
+     * @throws - 
+     * A TypeError or RangeError exception as described above. 
+     */
+    function checkParams() {
+
+        if (typeof targetStr === "undefined" || targetStr === null) {
+
+            throw new TypeError("Parameter \"targetStr\" must not be null " 
+                + "or undefined.");
+        }
+
+        targetStr = String(targetStr);
+        count = Number(count);
+
+        if (isNaN(count)) {
+
+            count = 0;
+        }
+
+        if (count < 0 || count === Infinity) {
+
+            throw new RangeError("Parameter \"count\" must be a zero or " 
+                + "positive, finite number.");
+        }
+
+        count = Math.floor(count);
+    }
+
+    /**
+     * Builds the new string by doubling the "targetStr" argument, so that 
+     * only a logarithmic number of concatenations is needed for large 
+     * counts. 
+     * 
+     * @returns { string } - The repeated string 
+     */
+    function repeat() {
+
+        var result = "", doubled = targetStr, remaining = count;
+
+        while (remaining > 0) {
+
+            if (remaining % 2 === 1) {
+
+                result += doubled;
+            }
+
+            remaining = Math.floor(remaining / 2);
+
+            if (remaining > 0) {
+
+                doubled += doubled;
+            }
+        }
+
+        return result;
+    }
+
+    /* Main function execution area */
+    checkParams();
+    return repeat();
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the String class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the String repeat() polyfill.");
+}
+
+/* If the String class's repeat() method is not supported by the current 
+ Internet browser, install a non-enumerable repeat() method in its prototype 
+ which calls the polyfill function defined above. */
+installPolyfill(String.prototype, "repeat", function(count) {
+
+    return stringRepeatPolyfill(this, count);
+});
@@ -0,0 +1,125 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the String 
+ * class's replaceAll() method for Internet browsers that do not support it. 
+ * 
+ * A string pattern is escaped and turned into a global regular expression, 
+ * so that the String replace() method, which every Internet browser supports, 
+ * can do the actual replacing. This keeps the special replacement patterns, 
+ * such as "$&", and replacement functions working the same way as with the 
+ * native method. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the String replaceAll() 
+ * method: 
+ * "The replaceAll() method of String values returns a new string with all 
+ * matches of a pattern replaced by a replacement. The pattern can be a string 
+ * or a RegExp, and the replacement can be a string or a function to be called 
+ * for each match. The original string is left unchanged." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the String class's replaceAll() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/replaceAll
+ * 
+ * @param { string } targetStr - Required parameter. The string to have its 
+ * matches replaced. Values which are not strings are converted to strings. A 
+ * valid argument must not be undefined or null. 
+ * 
+ * @param { string | RegExp } pattern - Required parameter. The characters to 
+ * be replaced, or a regular expression with the global ("g") flag. Values 
+ * other than regular expressions are converted to strings. An empty string 
+ * matches before and after each UTF-16 code unit. 
+ * 
+ * @param { string | Function } replacement - Required parameter. From MDN: 
+ * "Can be a string or a function. The replacement has the same semantics as 
+ * that of String.prototype.replace()." 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the argument to the "targetStr" parameter is undefined or null; or 
+ * - the argument to the "pattern" parameter is a regular expression without 
+ *   the global ("g") flag. 
+ * 
+ * @returns { string } - 
+ * A new string with every match of the "pattern" argument replaced. 
+ */
+function stringReplaceAllPolyfill(targetStr, pattern, replacement) {
+
+    /**
+     * Checks whether the "targetStr" argument is neither undefined nor null, 
+     * and whether a regular expression "pattern" argument is global. 
+     * 
+     * @throws - 
+     * A TypeError exception if either argument is invalid. 
+     */
+    function checkParams() {
+
+        if (typeof targetStr === "undefined" || targetStr === null) {
+
+            throw new TypeError("Parameter \"targetStr\" must not be null " 
+                + "or undefined.");
+        }
+
+        if (pattern instanceof RegExp && !pattern.global) {
+
+            throw new TypeError("Parameter \"pattern\" must have the global " 
+                + "(\"g\") flag set if it is a regular expression.");
+        }
+    }
+
+    /**
+     * Converts a string pattern to a global regular expression matching the 
+     * string literally, by escaping each regular expression syntax 
+     * character. 
+     * 
+     * @returns { RegExp } - The global regular expression 
+     */
+    function toGlobalRegExp() {
+
+        if (pattern instanceof RegExp) {
+
+            return pattern;
+        }
+
+        return new RegExp(String(pattern).replace(/[.*+?^${}()|[\]\\\/]/g, 
+            "\\$&"), "g");
+    }
+
+    /* Main function execution area */
+    checkParams();
+    return String(targetStr).replace(toGlobalRegExp(), replacement);
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the String class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the String replaceAll() polyfill.");
+}
+
+/* If the String class's replaceAll() method is not supported by the current 
+ Internet browser, install a non-enumerable replaceAll() method in its 
+ prototype which calls the polyfill function defined above. */
+installPolyfill(String.prototype, "replaceAll", function(pattern, 
+    replacement) {
+
+    return stringReplaceAllPolyfill(this, pattern, replacement);
+});
@@ -0,0 +1,126 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * A polyfill function that implements backwards-compatibility for the String 
+ * class's startsWith() method for Internet browsers that do not support it. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the String startsWith() 
+ * method: 
+ * "The startsWith() method of String values determines whether this string 
+ * begins with the characters of a specified string, returning true or false 
+ * as appropriate." 
+ * 
+ * Reference the MDN page for the latest documentation on and instructions for 
+ * using the String class's startsWith() method: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/startsWith
+ * 
+ * @param { string } targetStr - Required parameter. The string to be checked. 
+ * Values which are not strings are converted to strings. A valid argument 
+ * must not be undefined or null. 
+ * 
+ * @param { string } searchString - Required parameter. The characters to be 
+ * searched for at the start of the "targetStr" argument. Values other than 
+ * regular expressions are converted to strings. 
+ * 
+ * @param { number } position - Optional parameter. From MDN: 
+ * "The start position at which searchString is expected to be found (the 
+ * index of searchString's first character). Defaults to 0." 
+ * 
+ * @throws - 
+ * A TypeError exception if: 
+ * - the argument to the "targetStr" parameter is undefined or null; or 
+ * - the argument to the "searchString" parameter is a regular expression. 
+ * 
+ * @returns { boolean } - 
+ * Boolean true if the "searchString" argument is found at the position of 
+ * the "targetStr" argument, or if it is an empty string. Boolean false 
+ * otherwise. 
+ */
+function stringStartsWithPolyfill(targetStr, searchString, position) {
+
+    /**
+     * Checks whether the "targetStr" argument is neither undefined nor null, 
+     * and whether the "searchString" argument is not a regular expression. 
+     * The native method rejects regular expressions, rather than converting 
+     * them to strings, to leave room for matching patterns in the future. 
+     * 
+     * @throws - 
+     * A TypeError exception if either argument is invalid. 
+     */
+    function checkParams() {
+
+        if (typeof targetStr === "undefined" || targetStr === null) {
+
+            throw new TypeError("Parameter \"targetStr\" must not be null " 
+                + "or undefined.");
+        }
+
+        if (searchString instanceof RegExp) {
+
+            throw new TypeError("Parameter \"searchString\" must not be a " 
+                + "regular expression.");
+        }
+
+        targetStr = String(targetStr);
+        searchString = String(searchString);
+    }
+
+    /**
+     * Converts the "position" argument to an index in the range of 0 to the 
+     * length of the "targetStr" argument. 
+     * 
+     * @returns { number } - The start index 
+     */
+    function getStartIndex() {
+
+        var start = Number(position);
+
+        if (isNaN(start) || start < 0) {
+
+            return 0;
+        }
+
+        return Math.min(Math.floor(start), targetStr.length);
+    }
+
+    /* Main function execution area */
+    checkParams();
+
+    var start = getStartIndex();
+    return targetStr.substring(start, start + searchString.length)
+        === searchString;
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the String class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the String startsWith() polyfill.");
+}
+
+/* If the String class's startsWith() method is not supported by the current 
+ Internet browser, install a non-enumerable startsWith() method in its 
+ prototype which calls the polyfill function defined above. */
+installPolyfill(String.prototype, "startsWith", function(searchString, 
+    position) {
+
+    return stringStartsWithPolyfill(this, searchString, position);
+});
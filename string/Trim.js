@@ -0,0 +1,133 @@
+
+/**
+ * Copyright 2021 TheUnRealYeti. Source at: 
+ * https://github.com/TheUnRealYeti/ScriptJelly
+ * 
+ * Licensed under the Apache License, Version 2.0 (the "License"); 
+ * you may not use this file except in compliance with the License. 
+ * You may obtain a copy of the License at 
+ * http://www.apache.org/licenses/LICENSE-2.0 
+ * 
+ * Unless required by applicable law or agreed to in writing, software 
+ * distributed under the License is distributed on an "AS IS" BASIS, 
+ * WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied. 
+ * See the License for the specific language governing permissions and 
+ * limitations under the License. 
+ */
+
+/**
+ * Polyfill functions that implement backwards-compatibility for the String 
+ * class's trim(), trimStart() and trimEnd() methods for Internet browsers 
+ * that do not support them. The stringTrimPolyfill() function is essential 
+ * for the files in the class/ directory, which call it directly so that they 
+ * also work in ponyfill mode, so this file must be loaded before them. 
+ * 
+ * Legacy Internet browsers, such as Internet Explorer 8, do not count the 
+ * non-breaking space (\xA0) or the byte order mark (\uFEFF) as whitespace in 
+ * regular expressions, so both are listed explicitly in the patterns below. 
+ * 
+ * Note: MDN = Mozilla Developer Network 
+ * 
+ * From the primary description of the MDN page on the String trim() method: 
+ * "The trim() method of String values removes whitespace from both ends of 
+ * this string and returns a new string, without modifying the original 
+ * string." 
+ * 
+ * Reference the MDN pages for the latest documentation on and instructions 
+ * for using the String class's trim(), trimStart() and trimEnd() methods: 
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/trim
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/trimStart
+ * https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/String/trimEnd
+ * 
+ * @param { string } targetStr - Required parameter. The string to have its 
+ * leading and trailing whitespace removed. Values which are not strings are 
+ * converted to strings. A valid argument must not be undefined or null. 
+ * Usually, when the trim() polyfill parent method is called, this value will 
+ * be the "this" property from the parent function. 
+ * 
+ * @throws - 
+ * A TypeError exception if the argument to the "targetStr" parameter is 
+ * undefined or null. 
+ * 
+ * @returns { string } - 
+ * A new string without leading and trailing whitespace. 
+ */
+function stringTrimPolyfill(targetStr) {
+
+    return stringTrimEndPolyfill(stringTrimStartPolyfill(targetStr));
+}
+
+/**
+ * Removes the leading whitespace of a string. Refer to the documentation of 
+ * the stringTrimPolyfill() function above. 
+ * 
+ * @param { string } targetStr - Required parameter. The string to have its 
+ * leading whitespace removed. A valid argument must not be undefined or null. 
+ * 
+ * @throws - 
+ * A TypeError exception if the argument to the "targetStr" parameter is 
+ * undefined or null. 
+ * 
+ * @returns { string } - A new string without leading whitespace. 
+ */
+function stringTrimStartPolyfill(targetStr) {
+
+    if (typeof targetStr === "undefined" || targetStr === null) {
+
+        throw new TypeError("Parameter \"targetStr\" must not be null or " 
+            + "undefined.");
+    }
+
+    return String(targetStr).replace(/^[\s\uFEFF\xA0]+/, "");
+}
+
+/**
+ * Removes the trailing whitespace of a string. Refer to the documentation of 
+ * the stringTrimPolyfill() function above. 
+ * 
+ * @param { string } targetStr - Required parameter. The string to have its 
+ * trailing whitespace removed. A valid argument must not be undefined or 
+ * null. 
+ * 
+ * @throws - 
+ * A TypeError exception if the argument to the "targetStr" parameter is 
+ * undefined or null. 
+ * 
+ * @returns { string } - A new string without trailing whitespace. 
+ */
+function stringTrimEndPolyfill(targetStr) {
+
+    if (typeof targetStr === "undefined" || targetStr === null) {
+
+        throw new TypeError("Parameter \"targetStr\" must not be null or " 
+            + "undefined.");
+    }
+
+    return String(targetStr).replace(/[\s\uFEFF\xA0]+$/, "");
+}
+
+/* The installPolyfill() function from polyfill/InstallPolyfill.js must be 
+ loaded before this file in order to patch the String class's prototype. */
+if (typeof installPolyfill !== "function") {
+
+    throw new ReferenceError("installPolyfill() function must be loaded in " 
+        + "order to install the String trim() polyfills.");
+}
+
+/* If any of the String class's trim(), trimStart() or trimEnd() methods are 
+ not supported by the current Internet browser, install non-enumerable 
+ methods in its prototype which call the polyfill functions defined above. */
+installPolyfill(String.prototype, "trim", function() {
+
+    return stringTrimPolyfill(this);
+});
+
+installPolyfill(String.prototype, "trimStart", function() {
+
+    return stringTrimStartPolyfill(this);
+});
+
+installPolyfill(String.prototype, "trimEnd", function() {
+
+    return stringTrimEndPolyfill(this);
+});